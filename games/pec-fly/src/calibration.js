@@ -0,0 +1,103 @@
+import { CalibrationWizard } from "../../../shared/calibration_wizard.js";
+import { t } from "../../../shared/i18n.js";
+
+/**
+ * Wizard copy for an input mode (strings.js "calibration.<mode>.*"):
+ * rest pose first, then the active pose.
+ */
+function stepsCopy(mode) {
+  const key = (name) => t(`calibration.${mode}.${name}`);
+  return {
+    rest    : { title: key("rest"),   hint: key("restHint")   },
+    active  : { title: key("active"), hint: key("activeHint") },
+    tooClose: key("tooClose"),
+  };
+}
+
+/**
+ * PecFlyCalibration
+ * Derives the active/rest thresholds of the current input mode
+ * (thresholdClosed / thresholdOpen for pec fly, squatThresholdDown /
+ * squatThresholdUp for squats) from the player's own metric instead of the
+ * one-size-fits-all defaults.
+ *
+ * The player holds the rest pose, then the active pose. The typical value of
+ * each pose is taken from the samples (percentiles, so a few bad frames don't
+ * matter) and the thresholds are placed inside that range, leaving a
+ * hysteresis margin so the jump doesn't fire twice near a threshold:
+ *
+ *   activeLevel ──┬── margin ──┬──────────────┬── margin ──┬── restLevel
+ *                 │       active threshold  rest threshold  │
+ */
+export class PecFlyCalibration {
+  /**
+   * @param {import('./pecfly_camera_input.js').PecFlyCameraInput} cameraInput
+   * @param {import('./config.js').PecFlyConfig} config
+   * @param {import('../../../shared/profile_store.js').ProfileStore} [profiles]  Results are also kept on the active profile
+   */
+  constructor(cameraInput, config, profiles = null) {
+    this.cameraInput = cameraInput;
+    this.config      = config;
+    this.profiles    = profiles;
+  }
+
+  start() {
+    const exercise  = this.cameraInput.exercise;
+    const copy      = stepsCopy(exercise.id);
+    const restKey   = exercise.rest.above.key;
+    const activeKey = exercise.active.below.key;
+
+    const wizard = new CalibrationWizard({
+      steps: [
+        { id: "rest",   ...copy.rest   },
+        { id: "active", ...copy.active },
+      ],
+      holdSec   : this.config.get("calibrationHoldSec"),
+      sample    : () => this.cameraInput.value,
+      onStart   : () => { this.cameraInput.calibrating = true;  },
+      onClose   : () => { this.cameraInput.calibrating = false; },
+      onComplete: (samples) => {
+        const { active, rest } = deriveThresholds(
+          samples.rest, samples.active, this.config.get("calibrationMargin"), copy.tooClose
+        );
+        if (!this.config.setBatch({ [activeKey]: active, [restKey]: rest })) {
+          throw new Error(t("calibration.rejected"));
+        }
+        // Ranges and the ordered-pair gap may have adjusted them: keep and show what the config holds
+        const values = { [activeKey]: this.config.get(activeKey), [restKey]: this.config.get(restKey) };
+        this.profiles?.saveSettings(values);
+        return t("calibration.result", { active: values[activeKey], rest: values[restKey] });
+      },
+    });
+    wizard.start();
+  }
+}
+
+/**
+ * For exercises whose rest pose has the higher metric (pec fly, squat).
+ * @param {number[]} restSamples    Values sampled in the rest pose (arms open, standing)
+ * @param {number[]} activeSamples  Values sampled in the active pose (arms closed, squat bottom)
+ * @param {number}   margin         Fraction of the rest-active range kept as hysteresis on each side
+ * @param {string}   [tooCloseMessage]  Error shown when the poses can't be told apart
+ * @returns {{active: number, rest: number}}
+ */
+export function deriveThresholds(restSamples, activeSamples, margin, tooCloseMessage = "The two poses are too similar") {
+  // Conservative levels: a low-ish rest value and a high-ish active value
+  const restLevel   = percentile(restSamples,   0.2);
+  const activeLevel = percentile(activeSamples, 0.8);
+  const range       = restLevel - activeLevel;
+
+  if (range < 0.3) throw new Error(tooCloseMessage);
+
+  const round = (v) => Math.round(v * 100) / 100;
+  return {
+    active: round(activeLevel + range * margin),
+    rest  : round(restLevel   - range * margin),
+  };
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx    = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[idx];
+}
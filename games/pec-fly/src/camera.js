@@ -1,8 +1,16 @@
 import { config } from "./config.js";
+
+// Course height per unit of reference width: the course is always built
+// in referenceWidth x referenceWidth * REFERENCE_ASPECT world pixels
+const REFERENCE_ASPECT = 0.75;
+
 /**
  * Camera
  * Follows the player horizontally with a configurable zoom scale.
- * Scale is derived from canvas width so narrow/portrait screens zoom out automatically.
+ * The course lives in a fixed reference area (referenceWidth wide,
+ * referenceHeight high), so a seed builds the same course on every screen.
+ * Scale fits that area into the canvas: narrow/portrait screens zoom out
+ * and show extra sky above, wide screens see further ahead.
  */
 export class Camera {
   /**
@@ -14,14 +22,18 @@ export class Camera {
     this.canvasWidth  = canvasWidth;
     this.canvasHeight = canvasHeight;
 
+    this.referenceWidth  = config.get("referenceWidth", referenceWidth);
+    this.referenceHeight = Math.round(this.referenceWidth * REFERENCE_ASPECT);
+
     // scale < 1 = zoomed out (mobile portrait), scale > 1 = zoomed in (wide screen)
-    this.scale = canvasWidth / config.get("referenceWidth", referenceWidth);
+    this.scale = Math.min(canvasWidth / this.referenceWidth, canvasHeight / this.referenceHeight);
 
     // Screen X where the player is pinned (before scale)
     this.followOffsetX = canvasWidth * 0.3;
 
     this.x = 0; // world X of the left edge of the screen
-    this.y = 0;
+    // World Y of the top edge: the bottom of the course sits on the bottom of the screen
+    this.y = this.referenceHeight - canvasHeight / this.scale;
   }
 
   /** Keep player's world X at followOffsetX on screen */
@@ -36,6 +48,6 @@ export class Camera {
 
   /** World -> screen Y */
   toScreenY(worldY) {
-    return worldY * this.scale;
+    return (worldY - this.y) * this.scale;
   }
-}
\ No newline at end of file
+}
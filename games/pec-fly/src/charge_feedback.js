@@ -0,0 +1,74 @@
+import { config } from "./config.js";
+
+/**
+ * ChargeFeedback
+ * Lets the player hear the jump charge, since with the camera they watch
+ * their arms rather than the bar above the player. Follows Player.chargePct
+ * each step with a rising tone or stepped ticks (config "chargeSound"), and
+ * plays a distinct cue once the charge is full.
+ */
+
+/** Pitch range of the charge (Hz), rising exponentially so each step sounds even */
+const LOW_FREQ  = 220;
+const HIGH_FREQ = 880;
+
+/** Ticks per full charge */
+const TICKS = 8;
+
+export class ChargeFeedback {
+  /** @param {import('../../../shared/sound_manager.js').SoundManager} sounds */
+  constructor(sounds) {
+    this._sounds = sounds;
+    this._tone   = null;  // tone() handle while charging in "tone" mode
+    this._tick   = -1;    // last tick played
+    this._full   = false; // full-power cue already played for this charge
+  }
+
+  /**
+   * @param {import('./player.js').Player|null} player  null when not playing
+   */
+  update(player) {
+    const mode = config.get("chargeSound");
+    if (!player?.isCharging || mode === "off") {
+      this.stop();
+      return;
+    }
+
+    const pct  = player.chargePct;
+    const freq = LOW_FREQ * Math.pow(HIGH_FREQ / LOW_FREQ, pct);
+
+    if (mode === "tone") {
+      this._tone ??= this._sounds.tone({ freq, volume: 0.2 });
+      // Quieter once full, the cue has already said it
+      this._tone?.set(freq, this._full ? 0.08 : 0.2);
+    } else {
+      this._tone?.stop();
+      this._tone = null;
+      const tick = Math.floor(pct * TICKS);
+      if (tick > this._tick && tick < TICKS) {
+        this._sounds.beep(freq, { type: "square", duration: 0.04, volume: 0.15 });
+      }
+      this._tick = Math.max(this._tick, tick);
+    }
+
+    if (pct >= 1 && !this._full) {
+      this._full = true;
+      this._playFullCue();
+    }
+  }
+
+  /** Silence and forget the current charge */
+  stop() {
+    this._tone?.stop();
+    this._tone = null;
+    this._tick = -1;
+    this._full = false;
+  }
+
+  /** Two quick bright notes, an octave apart, above the charge range */
+  _playFullCue() {
+    const now = this._sounds.ctx?.currentTime ?? 0;
+    this._sounds.beep(HIGH_FREQ * 1.5, { type: "square", duration: 0.09, volume: 0.25, when: now });
+    this._sounds.beep(HIGH_FREQ * 3,   { type: "square", duration: 0.16, volume: 0.25, when: now + 0.09 });
+  }
+}
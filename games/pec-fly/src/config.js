@@ -1,33 +1,185 @@
-import { ConfigBase } from "../../../shared/config_base.js";
-
-const DEFAULTS = {
-  // Camera detection
-  thresholdClosed  : 1.0,
-  thresholdOpen    : 2.5,
-  cameraDeviceId   : null,
-  cameraOpacity    : 0.85,
-  modelComplexity  : 1,
-
-  // Jump physics
-  gravity          : 1400,
-  minVx            : 260,
-  maxVx            : 700,
-  minVy            : -500,
-  maxVy            : -880,
-  maxCharge        : 1.5,
-
-  // Platforms
-  platformWidthPct : 0.18,
-  minGapXPct       : 0.22,
-  maxGapXPct       : 0.40,
-  minGapYPct       : 0.15,
-  referenceWidth   : 800,
+import { ConfigBase, orderedPair, section } from "../../../shared/config_base.js";
+import { ConfigPresets } from "../../../shared/config_presets.js";
+import { i18n, LANGUAGES, DEFAULT_LANGUAGE } from "../../../shared/i18n.js";
+import { AUDIO_SETTINGS } from "../../../shared/sound_manager.js";
+import { PEC_FLY_STRINGS } from "./strings.js";
+
+/**
+ * Default action bindings (InputHandler codes). "Pose" (the exercise rep) and
+ * "Touch" (a finger held) only jump, so a rep or a long press never
+ * confirms; GamepadA does, so a foot pedal alone can start and restart runs.
+ * "charge" is analog: trigger depth sets the jump charge.
+ * A station can override any action in the "controls" section (see bindings()).
+ */
+export const BINDINGS = {
+  jump   : ["Space", "Touch", "MouseLeft", "Pose", "GamepadA", "GamepadLB", "GamepadRB", "GamepadLT", "GamepadRT"],
+  charge : ["GamepadLT", "GamepadRT"],
+  confirm: ["Enter", "NumpadEnter", "Tap", "MouseLeft", "GamepadA", "PoseHandsUp"],
+  pause  : ["Escape", "KeyP", "TwoFingerTap", "GamepadStart", "PoseHandsUp"],
+  menu   : ["KeyM", "GamepadBack"],
+};
+
+/**
+ * Config field overriding an action's codes: a comma-separated list, null
+ * (empty field) keeps the default, shown as the placeholder. Local, since
+ * the codes depend on the station's hardware (e.g. a pedal as GamepadButton3).
+ */
+function binding(action) {
+  return { type: "string", default: null, nullable: true, placeholder: BINDINGS[action].join(", "), local: true };
+}
+
+/**
+ * Pec-Fly settings. Types and ranges are validated by ConfigBase; sections,
+ * controls and formats also build the DebugPanel (see shared/config_panel.js),
+ * so a new knob only needs an entry here and its label in strings.js.
+ */
+const SCHEMA = {
+  ...section("general", {
+    language          : { type: "enum",    default: DEFAULT_LANGUAGE, options: LANGUAGES, local: true },
+  }),
+
+  ...section("audio", {
+    ...AUDIO_SETTINGS,
+    chargeSound       : { type: "enum",    default: "tone", options: ["off", "tone", "ticks"] }, // heard while charging a jump
+    cadenceMusic      : { type: "boolean", default: false, options: [false, true] },             // backing beat at targetCadence
+    targetCadence     : { type: "number",  default: 20,   min: 6,    max: 40,   step: 1    },    // reps per minute, one bar per rep
+  }),
+
+  ...section("controls", {
+    bindJump          : binding("jump"),
+    bindCharge        : binding("charge"),
+    bindConfirm       : binding("confirm"),
+    bindPause         : binding("pause"),
+    bindMenu          : binding("menu"),
+  }),
+
+  ...section("camera", {
+    cameraDeviceId    : { type: "string",  default: null, nullable: true, control: "select", rebuild: true, local: true }, // options filled by DebugPanel
+    cameraOpacity     : { type: "number",  default: 0.85, min: 0.1,  max: 1,    step: 0.05, format: "percent" },
+    modelComplexity   : { type: "integer", default: 1,    min: 0,    max: 2,    step: 1,    options: [0, 1, 2], rebuild: true },
+    minVisibility     : { type: "number",  default: 0.5,  min: 0,    max: 0.95, step: 0.05, format: "percent" },
+
+    // Landmark smoothing
+    landmarkFilter    : { type: "enum",    default: "oneEuro", options: ["none", "ema", "oneEuro"] },
+    filterAlpha       : { type: "number",  default: 0.5,  min: 0.05, max: 1,    step: 0.05 },
+    filterMinCutoff   : { type: "number",  default: 1.0,  min: 0.1,  max: 5,    step: 0.1  },
+    filterBeta        : { type: "number",  default: 5,    min: 0,    max: 20,   step: 0.5  },
+  }),
+
+  ...section("detection", {
+    inputMode         : { type: "enum",    default: "pecFly", options: ["pecFly", "squat"] },
+    thresholdClosed   : { type: "number",  default: 1.0,  min: 0.3,  max: 2.0,  step: 0.05 },
+    thresholdOpen     : { type: "number",  default: 2.5,  min: 1.0,  max: 4.0,  step: 0.05 },
+    squatThresholdDown: { type: "number",  default: 0.3,  min: -0.3, max: 0.8,  step: 0.05 }, // hips-above-knees / torso length
+    squatThresholdUp  : { type: "number",  default: 0.6,  min: 0.2,  max: 1.2,  step: 0.05 },
+
+    // Calibration wizard
+    calibrationMargin : { type: "number",  default: 0.25, min: 0.05, max: 0.45, step: 0.01, format: "percent" },
+    calibrationHoldSec: { type: "number",  default: 3,    min: 1,    max: 8,    step: 0.5  },
+  }),
+
+  ...section("flow", {
+    countdownSec       : { type: "number", default: 3,    min: 0,    max: 10,   step: 0.5 },
+    resumeCountdownSec : { type: "number", default: 2,    min: 0,    max: 10,   step: 0.5 },
+    autoPauseGraceSec  : { type: "number", default: 1.5,  min: 0.5,  max: 10,   step: 0.5 }, // pause when no pose is seen for this long
+    gameOverCooldownSec: { type: "number", default: 2,    min: 0,    max: 10,   step: 0.5 },
+    gestureHoldSec     : { type: "number", default: 1.0,  min: 0.3,  max: 5,    step: 0.1 }, // hold both hands above the head this long
+  }),
+
+  ...section("physics", {
+    gravity           : { type: "number",  default: 1400, min: 400,   max: 3000, step: 50  },
+    minVx             : { type: "number",  default: 260,  min: 50,    max: 500,  step: 10  },
+    maxVx             : { type: "number",  default: 700,  min: 200,   max: 1200, step: 10  },
+    minVy             : { type: "number",  default: -500, min: -1200, max: -100, step: 10  },
+    maxVy             : { type: "number",  default: -880, min: -1500, max: -300, step: 10  },
+    maxCharge         : { type: "number",  default: 1.5,  min: 0.3,   max: 3.0,  step: 0.1 },
+  }),
+
+  ...section("platforms", {
+    difficulty        : { type: "enum",    default: "normal", options: ["easy", "normal", "hard"], rebuild: true }, // see difficulty.js
+    platformWidthPct  : { type: "number",  default: 0.18, min: 0.08, max: 0.40, step: 0.01, format: "percent", rebuild: true },
+    minGapXPct        : { type: "number",  default: 0.22, min: 0.10, max: 0.50, step: 0.01, format: "percent", rebuild: true },
+    maxGapXPct        : { type: "number",  default: 0.40, min: 0.15, max: 0.70, step: 0.01, format: "percent", rebuild: true },
+    minGapYPct        : { type: "number",  default: 0.15, min: 0.02, max: 0.40, step: 0.01, format: "percent", rebuild: true },
+    referenceWidth    : { type: "number",  default: 800,  min: 400,  max: 1600, step: 50,   rebuild: true },
+
+    // Course generation
+    seed              : { type: "integer", default: null, nullable: true, min: 0, max: 4294967295, step: 1, control: "number", rebuild: true }, // null = new random course every run
+    dailyChallenge    : { type: "boolean", default: false, options: [false, true], rebuild: true }, // same course for everyone, seed derived from the date
+  }),
+
+  // Spawn weights: 0 = never
+  ...section("platformTypes", {
+    weightStatic      : { type: "number",  default: 6,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightMoving      : { type: "number",  default: 2,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightCrumbling   : { type: "number",  default: 1.5,  min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightBouncy      : { type: "number",  default: 1,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    specialAfter      : { type: "integer", default: 4,    min: 0,    max: 20,   step: 1,    rebuild: true },
+    moveRangePct      : { type: "number",  default: 0.06, min: 0.02, max: 0.15, step: 0.01, rebuild: true, format: "percent" }, // % of visible width/height
+    moveSpeed         : { type: "number",  default: 1.5,  min: 0.5,  max: 4,    step: 0.1,  rebuild: true },
+    crumbleDelaySec   : { type: "number",  default: 1.5,  min: 0.5,  max: 4,    step: 0.1,  rebuild: true },
+    bounceCharge      : { type: "number",  default: 0.5,  min: 0.1,  max: 1,    step: 0.05, rebuild: true }, // as a jump charge 0..1
+  }),
+
+  ...section("pickups", {
+    pickupChance      : { type: "number",  default: 0.5,  min: 0,    max: 1,    step: 0.05, rebuild: true, format: "percent" },
+    weightCoin        : { type: "number",  default: 6,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightSlowMo      : { type: "number",  default: 1,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightShield      : { type: "number",  default: 1,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    weightDoubleCharge: { type: "number",  default: 1,    min: 0,    max: 10,   step: 0.5,  rebuild: true },
+    coinValue         : { type: "integer", default: 1,    min: 0,    max: 5,    step: 1    },
+    slowMoSec         : { type: "number",  default: 5,    min: 1,    max: 15,   step: 0.5  },
+    slowMoFactor      : { type: "number",  default: 0.5,  min: 0.2,  max: 0.9,  step: 0.05, format: "percent" },
+    doubleChargeSec   : { type: "number",  default: 8,    min: 1,    max: 20,   step: 0.5  },
+  }),
 };
 
+/** Pairs that must stay ordered; changing one side drags the other along */
+const CONSTRAINTS = [
+  orderedPair("thresholdClosed",    "thresholdOpen",    0.1),
+  orderedPair("squatThresholdDown", "squatThresholdUp", 0.1),
+  orderedPair("minVx",              "maxVx"),
+  orderedPair("maxVy",              "minVy"),  // velocities are negative: max jump = most negative
+  orderedPair("minGapXPct",         "maxGapXPct"),
+];
+
+/**
+ * Saved-data upgrades, keyed by the version they produce.
+ * Version 1 is the first typed schema: older bare values only need validating.
+ * Renamed or reinterpreted keys get an entry here, e.g.
+ *   2: (v) => ({ ...v, gapYPct: v.minGapYPct, minGapYPct: undefined }),
+ */
+const MIGRATIONS = {};
+
 class PecFlyConfig extends ConfigBase {
   constructor() {
-    super("pecfly_config", DEFAULTS);
+    super("pecfly_config", SCHEMA, { version: 1, migrations: MIGRATIONS, constraints: CONSTRAINTS });
+  }
+}
+
+export const config = new PecFlyConfig();
+
+// Game texts in the shared tables; the page language follows config "language"
+i18n.add(PEC_FLY_STRINGS);
+i18n.bindConfig(config);
+
+/** Config key of an action's binding override, e.g. "jump" -> "bindJump" */
+export function bindingKey(action) {
+  return "bind" + action[0].toUpperCase() + action.slice(1);
+}
+
+/**
+ * Action bindings in effect: BINDINGS with the "controls" overrides applied.
+ * @returns {Object<string, string[]>}
+ */
+export function bindings() {
+  const result = {};
+  for (const [action, codes] of Object.entries(BINDINGS)) {
+    const override = config.get(bindingKey(action));
+    result[action] = override === null ? [...codes] : override.split(/[\s,]+/).filter(Boolean);
   }
+  return result;
 }
 
-export const config = new PecFlyConfig();
\ No newline at end of file
+/** Named setups per station, saved under "pecfly_config_presets" */
+export const presets = new ConfigPresets(config);
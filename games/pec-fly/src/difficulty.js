@@ -0,0 +1,120 @@
+import { config } from "./config.js";
+
+/**
+ * Difficulty curve
+ * PlatformManager starts from the config percentages (platformWidthPct,
+ * minGapXPct, maxGapXPct, minGapYPct) and scales them as the course goes on.
+ * Each preset gives [start, end] multipliers reached linearly over
+ * rampPlatforms spawned platforms:
+ *
+ *   width    platform width           (narrower later)
+ *   minGapX  shortest horizontal gap
+ *   maxGapX  longest horizontal gap   (grows faster than minGapX = more varied)
+ *   gapY     vertical swing up/down
+ *
+ * Whatever the curve asks for, PlatformManager clamps every platform with
+ * jumpDistance() / maxJumpRise() so it stays inside what a jump between
+ * minVx/minVy and maxVx/maxVy can reach.
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    rampPlatforms: 60,
+    width  : [1.20, 0.90],
+    minGapX: [0.90, 1.00],
+    maxGapX: [0.85, 1.15],
+    gapY   : [0.60, 1.20],
+  },
+  normal: {
+    rampPlatforms: 40,
+    width  : [1.00, 0.65],
+    minGapX: [1.00, 1.15],
+    maxGapX: [1.00, 1.50],
+    gapY   : [1.00, 1.80],
+  },
+  hard: {
+    rampPlatforms: 25,
+    width  : [0.85, 0.50],
+    minGapX: [1.10, 1.30],
+    maxGapX: [1.15, 1.80],
+    gapY   : [1.30, 2.40],
+  },
+};
+
+/**
+ * Multipliers for the n-th spawned platform.
+ * @param {string} name  Preset name, unknown names fall back to "normal"
+ * @param {number} n     Platforms spawned so far
+ * @returns {{width: number, minGapX: number, maxGapX: number, gapY: number}}
+ */
+export function difficultyAt(name, n) {
+  const preset = DIFFICULTY_PRESETS[name] ?? DIFFICULTY_PRESETS.normal;
+  const p      = Math.min(1, n / preset.rampPlatforms);
+  const lerp   = ([a, b]) => a + (b - a) * p;
+  return {
+    width  : lerp(preset.width),
+    minGapX: lerp(preset.minGapX),
+    maxGapX: lerp(preset.maxGapX),
+    gapY   : lerp(preset.gapY),
+  };
+}
+
+/**
+ * Launch velocity of a jump with the given charge. Same formulas as Player.launch.
+ * @param {number} t  Charge 0..1
+ * @returns {{vx: number, vy: number}}
+ */
+export function jumpVelocity(t) {
+  return {
+    vx: config.get("minVx") + t * (config.get("maxVx") - config.get("minVx")),
+    vy: config.get("minVy") + t * (config.get("maxVy") - config.get("minVy")),
+  };
+}
+
+/**
+ * Flight time of a jump with the given charge that lands dy lower than it
+ * took off (negative dy = higher).
+ * @param {number} t   Charge 0..1
+ * @param {number} dy  World px, positive = down
+ * @returns {number|null} null when that height is never reached
+ */
+export function jumpTime(t, dy) {
+  const { vy } = jumpVelocity(t);
+  const g      = config.get("gravity");
+  const disc   = vy * vy + 2 * g * dy;
+  if (disc < 0) return null;
+  // Later root of y(T) = vy·T + g·T²/2 = dy: landing on the way down
+  return (-vy + Math.sqrt(disc)) / g;
+}
+
+/**
+ * Horizontal distance of a jump with the given charge that lands dy lower
+ * than it took off (negative dy = higher).
+ * @param {number} t   Charge 0..1
+ * @param {number} dy  World px, positive = down
+ * @returns {number|null} null when that height is never reached
+ */
+export function jumpDistance(t, dy) {
+  const time = jumpTime(t, dy);
+  return time === null ? null : jumpVelocity(t).vx * time;
+}
+
+/**
+ * Offset from the take-off point part-way through a jump.
+ * @param {number} t   Charge 0..1
+ * @param {number} dy  Landing height, see jumpTime
+ * @param {number} f   Fraction of the flight 0..1
+ * @returns {{x: number, y: number}|null}
+ */
+export function jumpPoint(t, dy, f) {
+  const time = jumpTime(t, dy);
+  if (time === null) return null;
+  const { vx, vy } = jumpVelocity(t);
+  const tau = time * f;
+  return { x: vx * tau, y: vy * tau + config.get("gravity") * tau * tau / 2 };
+}
+
+/** Highest rise (world px) of a full-charge jump */
+export function maxJumpRise() {
+  const vy = config.get("maxVy");
+  return vy * vy / (2 * config.get("gravity"));
+}
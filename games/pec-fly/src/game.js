@@ -1,13 +1,55 @@
-import { config } from "./config.js";
+import { config, presets, bindings } from "./config.js";
+import { ConfigPresets }  from "../../../shared/config_presets.js";
 import { InputHandler }   from "../../../shared/input_handler.js";
-import { Player }          from "./player.js";
-import { PlatformManager } from "./platformmanager.js";
-import { Camera }          from "./camera.js";
+import { WorkoutSession } from "../../../shared/workout_session.js";
+import { SoundManager }   from "../../../shared/sound_manager.js";
+import { CadenceMusic }   from "../../../shared/cadence_music.js";
+import { ProfileStore, SHARED_PROFILES_KEY } from "../../../shared/profile_store.js";
+import { randomSeed, dailySeed, dateKey, seedFromString } from "../../../shared/random.js";
+import { World, FIXED_DT } from "./world.js";
+import { PICKUP_KINDS } from "./pickup.js";
+import { ChargeFeedback } from "./charge_feedback.js";
+import { t, LANGUAGES } from "../../../shared/i18n.js";
+
+// Sound effects, relative to pec_fly.html
+const SOUNDS = {
+  point: "assets/sounds/sfx_point.wav",
+  die  : "assets/sounds/sfx_die.wav",
+};
+
+// Longest frame we try to catch up on (e.g. after a throttled background tab)
+const MAX_FRAME_DT = 0.25;
+
+/**
+ * Game states
+ *   TITLE      title screen, waits for confirm
+ *   COUNTDOWN  "get in position": waits for the camera and a detected pose, then counts down
+ *   PLAYING    world is simulated
+ *   PAUSED     world frozen, resume goes back through the countdown. Entered
+ *              automatically when the camera loses the player for
+ *              autoPauseGraceSec (once it has seen them in this run);
+ *              resumes by itself when they come back
+ *   GAME_OVER  results; restart only accepted after a cooldown
+ */
+export const State = Object.freeze({
+  TITLE    : "title",
+  COUNTDOWN: "countdown",
+  PLAYING  : "playing",
+  PAUSED   : "paused",
+  GAME_OVER: "gameOver",
+});
 
 /**
  * Game
- * Bootstraps the canvas and wires all subsystems.
- * Exposes input and a rebuild() method for DebugPanel.
+ * Bootstraps the canvas and wires all subsystems around the World simulation.
+ * Exposes input, session (rep tracking), profiles (local players and scores),
+ * attachCamera() for pose gestures and a rebuild() method for DebugPanel.
+ *
+ * Transitions are input actions (see BINDINGS in config.js, remappable in
+ * the "controls" settings): confirm (Enter, tap, click, gamepad A), pause
+ * (Escape/P, two-finger tap, Start), menu (M, Back: leave a paused or
+ * finished run for the title) and the camera's "hands up" gesture, bound to
+ * both confirm and pause (pause/resume while playing).
  */
 export class Game {
   constructor(canvasId) {
@@ -15,16 +57,37 @@ export class Game {
     this.ctx    = this.canvas.getContext("2d");
 
     this._resize();
-    window.addEventListener("resize", () => {
-      this._resize();
-      this._initSystems();
-    });
+    window.addEventListener("resize", () => this.rebuild());
 
-    this.input = new InputHandler();
+    this.input = new InputHandler(bindings());
     this.config = config;
+    this.session = new WorkoutSession();
+    this.sounds  = new SoundManager();
+    this.sounds.register(SOUNDS);
+    this.sounds.bindConfig(config);
+    this.sounds.load();
+    this._chargeFeedback = new ChargeFeedback(this.sounds);
+    this._music          = new CadenceMusic(this.sounds);
+    config.onChange((key) => {
+      if (key === null || key === "cadenceMusic" || key === "targetCadence") this._updateMusic();
+      if (key === null || config.spec(key).section === "controls") this.input.setBindings(bindings());
+    });
+    this.profiles = new ProfileStore(SHARED_PROFILES_KEY, { game: "pec-fly", legacyKey: "pecfly_profiles" });
+    this._lastRun = null; // result of profiles.recordRun() for the game over screen
+    this._activeProfileId = this.profiles.active?.id ?? null;
+    this.profiles.onChange((active) => this._onProfileChange(active));
+    this._sharedSettings  = {};
+    this._applyProfileSettings(this.profiles.active, true);
+    this._applyLaunchParams();
+    this.cameraInput = null;
+    this._autoPaused = false; // current pause was caused by the player leaving the frame
+    this._resuming   = false; // countdown resumes a paused run instead of starting one
+    this._poseSeen   = false; // camera saw the player during this run: arms auto-pause
     this._initSystems();
+    this._setState(State.TITLE);
 
-    this._lastTime = null;
+    this._lastTime    = null;
+    this._accumulator = 0;
     requestAnimationFrame((t) => this._loop(t));
   }
 
@@ -50,20 +113,106 @@ export class Game {
     const w = this.cssWidth;
     const h = this.cssHeight;
 
-    this.camera          = new Camera(w, h);
-    this.platformManager = new PlatformManager(w, h, this.camera);
+    const { seed, daily } = this._resolveSeed();
+    this.seed  = seed;
+    this.daily = daily;
 
-    const first = this.platformManager.platforms[0];
-    first.landed = true;
+    this.world = new World(w, h, seed, { sounds: this.sounds });
+    this.world.player.color = this.profiles.active?.color ?? this.world.player.color;
+    this.session.reset();
+  }
 
-    this.player = new Player(
-      first.worldX + first.width / 2 - 16,
-      first.top - 48
-    );
+  // Profiles
+
+  _onProfileChange(active) {
+    const id = active?.id ?? null;
+    if (id !== this._activeProfileId) {
+      this._activeProfileId = id;
+      this._applyProfileSettings(active);
+    } else {
+      // Newly saved personal keys (first calibration): the shared value was
+      // just overwritten, so the next player gets the default back
+      for (const key of Object.keys(active?.settings ?? {})) {
+        if (!(key in this._sharedSettings) && config.spec(key)) this._sharedSettings[key] = config.defaults[key];
+      }
+    }
+    if (active) this.world.player.color = active.color;
+  }
+
+  /**
+   * Personal settings (calibration) of the selected player override the
+   * shared config. Keys the previous player overrode go back to their shared
+   * values first, so a player without settings (or the guest) doesn't keep
+   * someone else's calibration.
+   * @param {object|null} profile
+   * @param {boolean} [startup]  Config was saved with this profile active, so the
+   *   shared values of its keys are lost: they fall back to the defaults
+   */
+  _applyProfileSettings(profile, startup = false) {
+    const settings = profile?.settings ?? {};
+    const values   = { ...this._sharedSettings };
+    this._sharedSettings = {}; // key -> shared value while a profile overrides it
+    for (const [key, value] of Object.entries(settings)) {
+      if (!config.spec(key)) continue;
+      this._sharedSettings[key] = key in values ? values[key] : (startup ? config.defaults[key] : config.get(key));
+      values[key] = value;
+    }
+    if (Object.keys(values).length) config.setBatch(values);
+  }
+
+  /**
+   * Shared preset link (?preset=<name>&cfg.<key>=<value>, see ConfigPresets)
+   * and choices made in the launcher (root index.html):
+   * ?camera=<deviceId>&mode=<exercise>&lang=<language>
+   */
+  _applyLaunchParams() {
+    const search = window.location.search;
+    presets.applyQuery(search, {
+      confirmOverwrite: (name) => confirm(t("preset.overwriteConfirm", { name })),
+    });
+    // Applied once: a reload keeps later tuning instead of reapplying the link
+    const cleaned = ConfigPresets.stripQuery(search);
+    if (cleaned !== search) history.replaceState(null, "", location.pathname + cleaned + location.hash);
+
+    const params = new URLSearchParams(search);
+    const modes  = config.spec("inputMode").options;
+    const values = {};
+    // Own keys only: "?mode=toString" is not an exercise
+    if (params.get("camera"))                         values.cameraDeviceId = params.get("camera");
+    if (Object.hasOwn(modes, params.get("mode")))     values.inputMode      = params.get("mode");
+    if (Object.hasOwn(LANGUAGES, params.get("lang"))) values.language       = params.get("lang");
+    if (Object.keys(values).length) config.setBatch(values);
+  }
+
+  /**
+   * Connect a CameraBase input so its pose can gate the countdown and its
+   * gestures can drive menus.
+   * @param {import('../../../shared/camera_base.js').CameraBase} cameraInput
+   */
+  attachCamera(cameraInput) {
+    this.cameraInput = cameraInput;
+    cameraInput.onGesture((name) => this.input.triggerGesture(name));
+  }
 
-    this.camera.follow(this.player.worldX);
-    this.score    = 0;
-    this.gameOver = false;
+  /**
+   * Seed for the next course. Priority: ?seed= in the URL, daily challenge
+   * (?daily in the URL or config), fixed seed in config, else a random one.
+   * @returns {{seed: number, daily: string|null}}  daily = date key in daily mode
+   */
+  _resolveSeed() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has("seed")) {
+      const raw = params.get("seed");
+      return { seed: /^\d+$/.test(raw) ? Number(raw) >>> 0 : seedFromString(raw), daily: null };
+    }
+    if (params.has("daily") || config.get("dailyChallenge")) {
+      return { seed: dailySeed(new Date(), "pec-fly"), daily: dateKey() };
+    }
+    if (config.get("seed") !== null) {
+      return { seed: config.get("seed") >>> 0, daily: null };
+    }
+    return { seed: randomSeed(), daily: null };
   }
 
   /**
@@ -73,18 +222,62 @@ export class Game {
   rebuild() {
     this._resize();
     this._initSystems();
+    this._resuming = false;
+    this._poseSeen = false;
+    if (this.state !== State.TITLE) this._setState(State.COUNTDOWN);
+  }
+
+  // States
+
+  _setState(state) {
+    this.state      = state;
+    this.stateTime  = 0;
+    this._countdown = null;  // seconds left, null while waiting for the player
+    this._forced    = false; // countdown started by confirm: runs even without a pose
+    this._updateMusic();
+  }
+
+  /** Cadence music plays only while a run is being played */
+  _updateMusic() {
+    if (this.state !== State.PLAYING || !config.get("cadenceMusic")) {
+      this._music.stop();
+    } else if (!this._music.playing) {
+      this._music.start(config.get("targetCadence"));
+    } else {
+      this._music.setCadence(config.get("targetCadence"));
+    }
+  }
+
+  /** @param {boolean} auto  Paused because the player left the frame */
+  _pause(auto) {
+    this.world.player.cancelCharge();
+    this._setState(State.PAUSED);
+    this._autoPaused = auto;
   }
 
+  get gameOver() { return this.state === State.GAME_OVER; }
+
   // Loop 
 
+  /**
+   * Fixed-timestep loop: real elapsed time is accumulated and consumed in
+   * FIXED_DT steps; rendering interpolates between the last two steps.
+   * Input edges (justPressed/justReleased) are flushed only once a step has
+   * seen them, so a frame with no step doesn't drop a press.
+   */
   _loop(timestamp) {
+    this.input.poll();
     if (this._lastTime === null) this._lastTime = timestamp;
-    const dt = Math.min((timestamp - this._lastTime) / 1000, 0.05);
+    this._accumulator += Math.min((timestamp - this._lastTime) / 1000, MAX_FRAME_DT);
     this._lastTime = timestamp;
 
-    this._update(dt);
-    this._draw();
-    this.input.flush();
+    while (this._accumulator >= FIXED_DT) {
+      this._update(FIXED_DT);
+      this.input.flush();
+      this._accumulator -= FIXED_DT;
+    }
+
+    this._draw(this._accumulator / FIXED_DT);
 
     requestAnimationFrame((t) => this._loop(t));
   }
@@ -92,79 +285,340 @@ export class Game {
   // Update
 
   _update(dt) {
-    if (this.gameOver) {
-      if (this.input.isJustPressed("Space")) this._initSystems();
+    this.stateTime += dt;
+
+    const confirm = this.input.isActionJustPressed("confirm");
+    const pause   = this.input.isActionJustPressed("pause");
+    const menu    = this.input.isActionJustPressed("menu");
+
+    switch (this.state) {
+      case State.TITLE:
+        // Confirm only: a stray rep or arm movement must not start a run
+        if (confirm) this._startRun();
+        break;
+
+      case State.COUNTDOWN:
+        this._updateCountdown(dt, confirm);
+        break;
+
+      case State.PLAYING:
+        if (pause || menu) {
+          this._pause(false);
+          break;
+        }
+        if (this._playerLeft()) {
+          this._pause(true);
+          break;
+        }
+        this._updatePlaying(dt);
+        break;
+
+      case State.PAUSED:
+        if (menu) {
+          this._setState(State.TITLE);
+          break;
+        }
+        if (pause || confirm || (this._autoPaused && this._playerInPosition())) {
+          this._resuming = true;
+          this._setState(State.COUNTDOWN);
+        }
+        break;
+
+      case State.GAME_OVER:
+        if (this.stateTime < config.get("gameOverCooldownSec")) break;
+        if (confirm) this._startRun();
+        else if (pause || menu) this._setState(State.TITLE);
+        break;
+    }
+
+    this._chargeFeedback.update(this.state === State.PLAYING ? this.world.player : null);
+  }
+
+  /** Fresh course, then "get in position" */
+  _startRun() {
+    this._initSystems();
+    this._resuming = false;
+    this._poseSeen = false;
+    this._setState(State.COUNTDOWN);
+  }
+
+  /**
+   * Wait until the camera is running and sees the player, then count down.
+   * Losing the pose restarts the wait, unless confirm started the countdown:
+   * that skips the wait for good (keyboard play or no webcam).
+   */
+  _updateCountdown(dt, confirm) {
+    const length = config.get(this._resuming ? "resumeCountdownSec" : "countdownSec");
+    if (confirm) {
+      this._countdown = this._countdown ?? length;
+      this._forced    = true;
+    }
+
+    if (this._countdown === null) {
+      if (this._playerInPosition()) this._countdown = length;
       return;
     }
 
-    if (this.input.isJustPressed("Space"))  this.player.startCharge();
-    if (this.input.isJustReleased("Space")) this.player.releaseJump();
+    if (!this._forced && this.cameraInput && !this._playerInPosition()) {
+      this._countdown = null;
+      return;
+    }
 
-    const worldHeight = this.cssHeight / this.camera.scale;
-    this.player.update(dt, this.platformManager.platforms, worldHeight);
+    this._countdown -= dt;
+    if (this._countdown <= 0) this._setState(State.PLAYING);
+  }
 
-    this.camera.follow(this.player.worldX);
-    this.platformManager.update(this.camera);
-    this._checkScore();
+  _playerInPosition() {
+    if (!this.cameraInput) return true;
+    return this.cameraInput.isReady && this.cameraInput.hasPose;
+  }
 
-    if (this.player.isDead) this.gameOver = true;
+  /**
+   * Camera running but nobody in frame for longer than the grace period.
+   * Only once the camera has seen the player in this run, so a keyboard or
+   * pedal run with nobody in front of the webcam never auto-pauses.
+   */
+  _playerLeft() {
+    const cam = this.cameraInput;
+    if (!cam || !cam.isReady) return false;
+    if (cam.hasPose) this._poseSeen = true;
+    return this._poseSeen && cam.absentSeconds > config.get("autoPauseGraceSec");
   }
 
-  _checkScore() {
-    for (const platform of this.platformManager.platforms) {
-      if (!platform.landed && this._playerIsStandingOn(platform)) {
-        platform.landed = true;
-        this.score++;
-      }
-    }
+  /**
+   * Depth of the analog trigger driving the jump, or 0 when the jump came
+   * from anything else (keys, touch, pose), whose charge fills over time.
+   */
+  _triggerCharge() {
+    const src = this.input.actionSource("jump");
+    if (!src || !this.input.bindings.charge?.includes(src.code)) return 0;
+    return this.input.value(src.code);
   }
 
-  _playerIsStandingOn(platform) {
-    const p = this.player;
-    return (
-      p.right  > platform.left  &&
-      p.left   < platform.right &&
-      p.isOnGround              &&
-      Math.abs(p.bottom - platform.top) < 4
-    );
+  _updatePlaying(dt) {
+    const { died } = this.world.step(dt, {
+      pressed : this.input.isActionJustPressed("jump"),
+      released: this.input.isActionJustReleased("jump"),
+      charge  : this._triggerCharge(),
+    });
+
+    if (died) {
+      this.session.end();
+      const s = this.session.summary();
+      this._lastRun = this.profiles.recordRun({
+        score   : this.world.score,
+        coins   : this.world.coins,
+        reps    : s.reps,
+        duration: s.duration,
+        seed    : this.seed,
+        daily   : this.daily,
+      });
+      this._setState(State.GAME_OVER);
+    }
   }
 
   // Draw 
 
-  _draw() {
+  /**
+   * @param {number} alpha  0..1, how far between the last two physics steps this frame is
+   */
+  _draw(alpha = 1) {
     const { ctx, canvas } = this;
+    const { player, camera, platformManager } = this.world;
     ctx.clearRect(0, 0, this.cssWidth, this.cssHeight);
 
-    this.platformManager.draw(ctx, this.camera);
-    this.player.draw(ctx, this.camera);
+    // Only interpolate while the world is actually moving
+    if (this.state !== State.PLAYING) alpha = 1;
+
+    camera.follow(player.renderX(alpha));
+    platformManager.draw(ctx, camera, alpha);
+    player.draw(ctx, camera, alpha);
 
     const fontSize = Math.max(14, Math.round(this.cssWidth * 0.045));
+
+    switch (this.state) {
+      case State.TITLE:     this._drawTitle(fontSize);     break;
+      case State.COUNTDOWN: this._drawHUD(fontSize); this._drawCountdown(fontSize); break;
+      case State.PLAYING:   this._drawHUD(fontSize);       break;
+      case State.PAUSED:    this._drawHUD(fontSize); this._drawPaused(fontSize); break;
+      case State.GAME_OVER: this._drawGameOver(fontSize);  break;
+    }
+  }
+
+  _drawHUD(fontSize) {
+    const { ctx } = this;
+    const { player, score } = this.world;
+
     ctx.fillStyle = "#fff";
     ctx.font = fontSize + "px monospace";
-    ctx.fillText("Score: " + this.score, 16, fontSize + 8);
-    ctx.fillText("Hold SPACE to charge, release to jump", 16, fontSize * 2 + 12);
+    ctx.fillText(t("hud.score", { score, reps: this.session.repCount }), 16, fontSize + 8);
+    ctx.fillText(t("hud.controls"), 16, fontSize * 2 + 12);
 
-    if (this.player.isCharging) {
-      const pct   = this.player.chargePct;
-      const label = pct < 0.4 ? "short" : pct < 0.75 ? "medium" : "FULL POWER";
+    if (player.isCharging) {
+      const pct   = player.chargePct;
+      const level = pct < 0.4 ? "short" : pct < 0.75 ? "medium" : "full";
       ctx.fillStyle = "#ff0";
       ctx.font = "bold " + fontSize + "px monospace";
-      ctx.fillText("Charging... " + label, 16, fontSize * 3 + 16);
+      ctx.fillText(t("hud.charging", { level: t("hud.charge." + level) }), 16, fontSize * 3 + 16);
     }
 
-    if (this.gameOver) {
-      ctx.fillStyle = "rgba(0,0,0,0.6)";
-      ctx.fillRect(0, 0, this.cssWidth, this.cssHeight);
-      ctx.textAlign = "center";
-      ctx.fillStyle = "#f44";
-      ctx.font = "bold " + Math.round(this.cssWidth * 0.09) + "px monospace";
-      ctx.fillText("GAME OVER", this.cssWidth / 2, this.cssHeight / 2 - 20);
-      ctx.fillStyle = "#fff";
-      ctx.font = fontSize + "px monospace";
-      ctx.fillText("Score: " + this.score + "  -  SPACE to restart", this.cssWidth / 2, this.cssHeight / 2 + 30);
-      ctx.textAlign = "left";
+    this._drawPowerUps(fontSize);
+  }
+
+  /** Active power-ups in the top-right corner, timed ones with a draining bar */
+  _drawPowerUps(fontSize) {
+    const { ctx } = this;
+    const { timers, shield } = this.world;
+    const durations = { slowMo: config.get("slowMoSec"), doubleCharge: config.get("doubleChargeSec") };
+
+    const active = [];
+    if (shield) active.push({ kind: "shield", text: "", pct: 1 });
+    for (const kind in timers) {
+      if (timers[kind] > 0) active.push({ kind, text: " " + timers[kind].toFixed(1) + "s", pct: timers[kind] / durations[kind] });
     }
+
+    const x    = this.cssWidth - 16;
+    const barW = fontSize * 8;
+    ctx.textAlign = "right";
+    ctx.font = "bold " + fontSize + "px monospace";
+    active.forEach(({ kind, text, pct }, i) => {
+      const { color, icon } = PICKUP_KINDS[kind];
+      const y = (fontSize + 14) * (i + 1);
+      ctx.fillStyle = color;
+      ctx.fillText(icon + " " + t("pickup." + kind) + text, x, y);
+      ctx.fillRect(x - barW * pct, y + 4, barW * pct, 3);
+    });
+    ctx.textAlign = "left";
   }
-}
 
-new Game("gameCanvas");
\ No newline at end of file
+  /**
+   * Dimmed full-screen overlay with a big centered heading
+   * @param {number} shiftY  Moves the heading up/down from the screen center
+   */
+  _drawOverlay(title, color, shiftY = 0) {
+    const { ctx } = this;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(0, 0, this.cssWidth, this.cssHeight);
+    ctx.textAlign = "center";
+    ctx.fillStyle = color;
+    ctx.font = "bold " + Math.round(this.cssWidth * 0.09) + "px monospace";
+    ctx.fillText(title, this.cssWidth / 2, this.cssHeight / 2 - 20 + shiftY);
+  }
+
+  /** Centered text line under the overlay heading */
+  _drawCenterLine(text, fontSize, offsetY, color = "#fff") {
+    const { ctx } = this;
+    ctx.fillStyle = color;
+    ctx.font = fontSize + "px monospace";
+    ctx.fillText(text, this.cssWidth / 2, this.cssHeight / 2 + offsetY);
+  }
+
+  /** Overlay hint for the current camera input mode ("controls" or "position") */
+  _modeHint(which) {
+    return t("hint." + config.get("inputMode") + "." + which);
+  }
+
+  _drawTitle(fontSize) {
+    this._drawOverlay(t("title.heading"), "#5cf");
+    this._drawCenterLine(t("title.start"), fontSize, 30);
+    this._drawCenterLine(this._modeHint("controls"), Math.round(fontSize * 0.75), 30 + fontSize + 10, "#aaa");
+    this.ctx.textAlign = "left";
+  }
+
+  _drawCountdown(fontSize) {
+    if (this._countdown === null) {
+      const cam = this.cameraInput;
+      this._drawOverlay(t("countdown.heading"), "#fa0");
+      this._drawCenterLine(
+        cam && !cam.isReady ? t("countdown.waitingCamera") : this._modeHint("position"),
+        fontSize, 30
+      );
+      this._drawCenterLine(t("countdown.startAnyway"), Math.round(fontSize * 0.75), 30 + fontSize + 10, "#aaa");
+    } else {
+      this._drawOverlay(String(Math.ceil(this._countdown)), "#fa0");
+      this._drawCenterLine(t("countdown.getReady"), fontSize, 30);
+    }
+    this.ctx.textAlign = "left";
+  }
+
+  _drawPaused(fontSize) {
+    this._drawOverlay(t("paused.heading"), "#fff");
+    this._drawCenterLine(
+      this._autoPaused
+        ? t("paused.comeBack")
+        : t("paused.resume"),
+      fontSize, 30
+    );
+    this._drawCenterLine(t("paused.menu"), Math.round(fontSize * 0.75), 30 + fontSize + 10, "#aaa");
+    this.ctx.textAlign = "left";
+  }
+
+  _drawGameOver(fontSize) {
+    const cooldown = config.get("gameOverCooldownSec") - this.stateTime;
+    const prompt   = cooldown > 0
+      ? t("gameOver.restartIn", { n: Math.ceil(cooldown) })
+      : t("gameOver.restart");
+
+    // Make room for the leaderboard below the results
+    const board  = this.profiles.leaderboard(10);
+    const shiftY = board.length ? -Math.round(this.cssHeight * 0.25) : 0;
+
+    this._drawOverlay(t("gameOver.heading"), "#f44", shiftY);
+    this._drawCenterLine(t("gameOver.score", { score: this.world.score, prompt }), fontSize, 30 + shiftY);
+    const bottom = this._drawGameOverDetails(fontSize, shiftY);
+    if (board.length) this._drawLeaderboard(board, fontSize, bottom);
+    this.ctx.textAlign = "left";
+  }
+
+  /**
+   * Workout stats, personal best and course seed under the game over message
+   * @returns {number} y just below the last line
+   */
+  _drawGameOverDetails(fontSize, shiftY = 0) {
+    const { ctx } = this;
+    const s   = this.session.summary();
+    const sec = (v) => v === null ? "-" : v.toFixed(1) + "s";
+    const small = Math.max(12, Math.round(fontSize * 0.75));
+
+    const profile = this.profiles.active;
+    const best    = !profile                ? t("gameOver.pickProfile")
+                  : this._lastRun?.isBest   ? t("gameOver.newBest", { name: profile.name })
+                  : t("gameOver.best", { name: profile.name, score: profile.bestScore });
+
+    ctx.fillStyle = "#5cf";
+    ctx.font = small + "px monospace";
+    const lines = [
+      t("gameOver.reps", { reps: s.reps, time: sec(s.duration) }),
+      t("gameOver.repTimes", { avg: sec(s.avgRep), fastest: sec(s.fastestRep), slowest: sec(s.slowestRep) }),
+      (this.daily ? t("gameOver.daily", { date: this.daily }) : "") + t("gameOver.seed", { seed: this.seed }),
+      best,
+    ];
+    const y0 = this.cssHeight / 2 + 30 + shiftY;
+    lines.forEach((line, i) => {
+      ctx.fillStyle = i === lines.length - 1 ? "#fa0" : "#5cf";
+      ctx.fillText(line, this.cssWidth / 2, y0 + (i + 1) * (small + 10));
+    });
+    return y0 + lines.length * (small + 10);
+  }
+
+  /** Top runs across all profiles; the run that just ended is highlighted */
+  _drawLeaderboard(board, fontSize, top) {
+    const { ctx } = this;
+    const avail = this.cssHeight - top - 16;
+    const lineH = Math.max(10, Math.min(Math.round(fontSize * 0.7), Math.floor(avail / (board.length + 1))));
+    const x     = this.cssWidth / 2;
+
+    ctx.font = "bold " + Math.round(lineH * 0.85) + "px monospace";
+    ctx.fillStyle = "#fff";
+    ctx.fillText(t("gameOver.top", { n: board.length }), x, top + lineH);
+
+    ctx.font = Math.round(lineH * 0.85) + "px monospace";
+    board.forEach((row, i) => {
+      const isLast = this._lastRun?.run?.date === row.date;
+      const rank   = String(i + 1).padStart(2, " ");
+      const name   = row.name.padEnd(16, " ").slice(0, 16);
+      ctx.fillStyle = isLast ? "#ff0" : row.color;
+      ctx.fillText(rank + ". " + name + String(row.score).padStart(5, " "), x, top + lineH * (i + 2));
+    });
+  }
+}
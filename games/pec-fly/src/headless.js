@@ -0,0 +1,131 @@
+import { World, FIXED_DT } from "./world.js";
+
+/**
+ * HeadlessRunner
+ * Steps the Pec-Fly World without a browser: no DOM, canvas or audio.
+ * Input is scripted as press/release times, and the runner reports every
+ * landing, the score and when the player died. Meant for automated checks of
+ * jump physics and platform reachability in Node; tools/headless_check.js
+ * is one (a bot playing seeded courses).
+ *
+ * Usage:
+ *   import { HeadlessRunner } from "./games/pec-fly/src/headless.js";
+ *
+ *   // Script: hold 0.5s, wait, hold 1.2s ...
+ *   const result = HeadlessRunner.run({
+ *     seed  : 1234,
+ *     script: [{ press: 0.2, release: 0.7 }, { press: 2.0, release: 3.2 }],
+ *     until : 6,
+ *   });
+ *   // result = { seed, score, coins, dead, time, landings: [{ time, score, x, y }] }
+ *
+ *   // Or step it by hand
+ *   const runner = new HeadlessRunner({ seed: 1234 });
+ *   runner.press();  runner.advance(0.5);
+ *   runner.release(); runner.advance(2);
+ */
+export class HeadlessRunner {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.seed=1]        Course seed
+   * @param {number} [opts.width=800]     Viewport width (CSS pixels)
+   * @param {number} [opts.height=600]    Viewport height (CSS pixels)
+   */
+  constructor({ seed = 1, width = 800, height = 600 } = {}) {
+    this.world    = new World(width, height, seed);
+    this.landings = [];
+    this.diedAt   = null;
+
+    this._held     = false;
+    this._pressed  = false;
+    this._released = false;
+  }
+
+  // --- Input -----------------------------------------------------------------
+
+  /** Jump button down (takes effect on the next step) */
+  press() {
+    if (!this._held) this._pressed = true;
+    this._held = true;
+  }
+
+  /** Jump button up (takes effect on the next step) */
+  release() {
+    if (this._held) this._released = true;
+    this._held = false;
+  }
+
+  // --- Stepping --------------------------------------------------------------
+
+  /** Run exactly one fixed physics step */
+  step() {
+    const { landed, died } = this.world.step(FIXED_DT, {
+      pressed : this._pressed,
+      released: this._released,
+    });
+    this._pressed  = false;
+    this._released = false;
+
+    if (landed) {
+      this.landings.push({
+        time : this.world.time,
+        score: this.world.score,
+        x    : landed.worldX,
+        y    : landed.worldY,
+      });
+    }
+    if (died && this.diedAt === null) this.diedAt = this.world.time;
+  }
+
+  /**
+   * Step for the given simulated time (rounded to whole steps).
+   * Stops early if the player dies.
+   * @param {number} seconds
+   */
+  advance(seconds) {
+    const steps = Math.round(seconds / FIXED_DT);
+    for (let i = 0; i < steps && !this.world.isOver; i++) this.step();
+  }
+
+  /** Step until simulated time reaches t (seconds since start) */
+  advanceTo(t) {
+    while (this.world.time + FIXED_DT / 2 < t && !this.world.isOver) this.step();
+  }
+
+  // --- Results ---------------------------------------------------------------
+
+  get result() {
+    return {
+      seed    : this.world.seed,
+      score   : this.world.score,
+      coins   : this.world.coins,
+      dead    : this.world.isOver,
+      diedAt  : this.diedAt,
+      time    : this.world.time,
+      landings: [...this.landings],
+    };
+  }
+
+  /**
+   * Run a whole script and return the result.
+   * @param {object} opts
+   * @param {Array<{press:number, release:number}>} opts.script  Times in seconds, in order
+   * @param {number} [opts.until]  Stop time in seconds (default: 3s after the last release)
+   * @param {number} [opts.seed]
+   * @param {number} [opts.width]
+   * @param {number} [opts.height]
+   */
+  static run({ script, until, ...opts }) {
+    const runner = new HeadlessRunner(opts);
+    const end    = until ?? (script.length ? script[script.length - 1].release + 3 : 3);
+
+    for (const { press, release } of script) {
+      runner.advanceTo(press);
+      runner.press();
+      runner.advanceTo(release);
+      runner.release();
+    }
+    runner.advanceTo(end);
+    return runner.result;
+  }
+}
@@ -1,79 +1,63 @@
-import { CameraBase } from "../../../shared/camera_base.js";
+import { ExerciseCameraInput } from "../../../shared/exercise_camera_input.js";
+import { PEC_FLY, SQUAT } from "../../../shared/exercises.js";
+
+/** Exercises selectable with the inputMode config key */
+export const INPUT_MODES = {
+  pecFly: PEC_FLY,
+  squat : SQUAT,
+};
 
 /**
  * PecFlyCameraInput
- * Extends CameraBase with pec-fly specific detection:
- * ratio = dist(wristL, wristR) / dist(shoulderL, shoulderR)
+ * Camera control for Pec-Fly. The exercise follows the inputMode config key:
+ *
+ *   "pecFly"  ratio = dist(wristL, wristR) / dist(shoulderL, shoulderR)
+ *             Arms closed (ratio < thresholdClosed) presses "Pose" (jump),
+ *             arms open (ratio > thresholdOpen) releases it.
+ *   "squat"   hips (23/24) relative to knees (25/26), see SQUAT.
+ *             Going down (< squatThresholdDown) presses "Pose" and charges,
+ *             standing up (> squatThresholdUp) releases it and jumps.
  *
  * Landmarks:
  *   11 = left shoulder  |  12 = right shoulder
  *   15 = left wrist     |  16 = right wrist
  */
-export class PecFlyCameraInput extends CameraBase {
+export class PecFlyCameraInput extends ExerciseCameraInput {
   /**
-   * @param {HTMLVideoElement}  videoEl
-   * @param {HTMLCanvasElement} overlayEl
+   * @param {HTMLVideoElement|null}  videoEl
+   * @param {HTMLCanvasElement|null} overlayEl
    * @param {import('../../../shared/InputHandler.js').InputHandler} inputHandler
    * @param {import('./config.js').PecFlyConfig} config
+   * @param {object} [opts]
+   * @param {import('../../../shared/workout_session.js').WorkoutSession} [opts.session]  Optional rep tracker
+   * @param {import('../../../shared/pose_provider.js').PoseProvider} [opts.provider]     Defaults to MediaPipe webcam
    */
-  constructor(videoEl, overlayEl, inputHandler, config) {
-    super(videoEl, overlayEl, config);
-    this.inputHandler = inputHandler;
-    this.ratio        = null;
-    this._armsClosed  = false;
-  }
-
-  _onPoseResults(results) {
-    const lm = results.poseLandmarks;
-
-    this._calculateRatio(lm);
-    this._triggerInput();
-    this._drawOverlay(lm);
+  constructor(videoEl, overlayEl, inputHandler, config, opts = {}) {
+    super(videoEl, overlayEl, inputHandler, config, INPUT_MODES[config.get("inputMode")] ?? PEC_FLY, opts);
+
+    config.onChange((key) => {
+      if (key !== "inputMode" && key !== null) return;
+      const exercise = INPUT_MODES[config.get("inputMode")] ?? PEC_FLY;
+      if (exercise !== this.exercise) this.setExercise(exercise);
+    });
   }
 
-  _calculateRatio(lm) {
-    const shoulderDist = this._dist(lm[11], lm[12]);
-    const wristDist    = this._dist(lm[15], lm[16]);
-
-    if (shoulderDist > 0.01) {
-      this.ratio = wristDist / shoulderDist;
-    } else {
-      this.ratio = null;
-    }
-  }
-
-  _triggerInput() {
-    if (this.ratio === null) return;
-
-    const closed = this.config.get("thresholdClosed");
-    const open   = this.config.get("thresholdOpen");
-
-    if (!this._armsClosed && this.ratio < closed) {
-      this._armsClosed = true;
-      this.inputHandler.triggerPress("Space");
-    } else if (this._armsClosed && this.ratio > open) {
-      this._armsClosed = false;
-      this.inputHandler.triggerRelease("Space");
-    }
-  }
+  /** Wrist/shoulder ratio in pec-fly mode, null when not detected */
+  get ratio() { return this.exercise === PEC_FLY ? this.value : null; }
 
   _drawOverlay(lm) {
-    // Key points specific to pec-fly
-    this._drawKeyPoints([
-      { point: lm[11], label: "SL", color: "#0af" },
-      { point: lm[12], label: "SR", color: "#0af" },
-      { point: lm[15], label: "WL", color: "#ff0" },
-      { point: lm[16], label: "WR", color: "#ff0" },
-    ]);
+    if (!this.ctx) return;
+    super._drawOverlay(lm);
+    if (this.exercise !== PEC_FLY) return;
 
     // Wrist-to-wrist line
     const w = this.overlay.width;
     const h = this.overlay.height;
-    this.ctx.strokeStyle = this._armsClosed ? "#0f0" : "#f00";
+    this.ctx.strokeStyle = this.detector.isActive ? "#0f0" : "#f00";
     this.ctx.lineWidth   = 3;
     this.ctx.beginPath();
     this.ctx.moveTo(lm[15].x * w, lm[15].y * h);
     this.ctx.lineTo(lm[16].x * w, lm[16].y * h);
     this.ctx.stroke();
   }
-}
\ No newline at end of file
+}
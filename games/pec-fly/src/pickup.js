@@ -0,0 +1,79 @@
+/**
+ * Pickup kinds (names in strings.js, "pickup.<kind>"). Effects are applied by World:
+ *   coin          bonus score (coinValue)
+ *   slowMo        physics run at slowMoFactor for slowMoSec, charge fills at normal speed
+ *   shield        the next fall puts the player back on a platform instead of ending the run
+ *   doubleCharge  charge fills twice as fast for doubleChargeSec
+ */
+export const PICKUP_KINDS = {
+  coin        : { color: "#fd3", icon: "●" },
+  slowMo      : { color: "#8cf", icon: "⏱" },
+  shield      : { color: "#4fc", icon: "🛡" },
+  doubleCharge: { color: "#f80", icon: "⚡" },
+};
+
+/**
+ * Pickup
+ * Collectible floating in world space on a jump arc between two platforms.
+ */
+export class Pickup {
+  /**
+   * @param {number} worldX  Center
+   * @param {number} worldY  Center
+   * @param {string} kind    Key of PICKUP_KINDS
+   */
+  constructor(worldX, worldY, kind) {
+    this.worldX    = worldX;
+    this.worldY    = worldY;
+    this.kind      = kind;
+    this.radius    = 14;
+    this.collected = false;
+  }
+
+  get left()  { return this.worldX - this.radius; }
+  get right() { return this.worldX + this.radius; }
+
+  /**
+   * Circle vs. player rectangle.
+   * @param {import('./player.js').Player} player
+   */
+  touches(player) {
+    const cx = Math.max(player.left, Math.min(this.worldX, player.right));
+    const cy = Math.max(player.top,  Math.min(this.worldY, player.bottom));
+    return Math.hypot(this.worldX - cx, this.worldY - cy) < this.radius;
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('./camera.js').Camera} camera
+   * @param {number} time  Seconds, for the idle bobbing
+   */
+  draw(ctx, camera, time = 0) {
+    if (this.collected) return;
+    const { color, icon } = PICKUP_KINDS[this.kind];
+    const s  = camera.scale;
+    const sx = camera.toScreenX(this.worldX);
+    const sy = camera.toScreenY(this.worldY + Math.sin(time * 4 + this.worldX) * 3);
+    const r  = this.radius * s;
+
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.3;
+    ctx.beginPath();
+    ctx.arc(sx, sy, r * 1.4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    ctx.arc(sx, sy, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (this.kind !== "coin") {
+      ctx.fillStyle = "#000";
+      ctx.font = Math.round(r * 1.2) + "px monospace";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(icon, sx, sy + 1);
+      ctx.textAlign = "left";
+      ctx.textBaseline = "alphabetic";
+    }
+  }
+}
@@ -1,6 +1,9 @@
 /**
  * Platform
  * Lives in world space. Camera converts to screen coordinates for drawing.
+ * The base class is static; the variants below move, crumble or bounce.
+ * Each physics step PlatformManager calls update(dt), and Player calls
+ * onLand(player) when it lands on one.
  */
 export class Platform {
   /**
@@ -14,21 +17,242 @@ export class Platform {
     this.worldY  = worldY;
     this.width   = width;
     this.height  = height;
-    this.landed  = false; 
+    this.landed  = false;
+    this.isSolid = true;  // false once it can't be stood on (crumbled)
+
+    this.baseX   = worldX; // spawn position (center of motion for movers)
+    this.baseY   = worldY;
+    this.prevX   = worldX; // position at the previous physics step,
+    this.prevY   = worldY; // used to interpolate rendering and carry the player
   }
 
+  get type()  { return "static"; }
+
   get top()   { return this.worldY; }
   get left()  { return this.worldX; }
   get right() { return this.worldX + this.width; }
 
+  /** Movement during the last physics step */
+  get dx() { return this.worldX - this.prevX; }
+  get dy() { return this.worldY - this.prevY; }
+
+  /** @param {number} dt */
+  update(dt) {
+    this.prevX = this.worldX;
+    this.prevY = this.worldY;
+  }
+
+  /**
+   * Called by the player on touchdown.
+   * @param {import('./player.js').Player} player
+   */
+  onLand(player) {}
+
+  renderX(alpha) { return this.prevX + (this.worldX - this.prevX) * alpha; }
+  renderY(alpha) { return this.prevY + (this.worldY - this.prevY) * alpha; }
+
   /**
    * @param {CanvasRenderingContext2D} ctx
    * @param {import('./camera.js').Camera} camera
+   * @param {number} alpha  Interpolation factor between physics steps
    */
-  draw(ctx, camera) {
-    const sx = camera.toScreenX(this.worldX);
-    const sy = camera.toScreenY(this.worldY);
-    ctx.fillStyle = this.landed ? "#4a9" : "#fff";
+  draw(ctx, camera, alpha = 1) {
+    this._drawRect(ctx, camera, alpha, this.landed ? "#4a9" : "#fff");
+  }
+
+  _drawRect(ctx, camera, alpha, color) {
+    const sx = camera.toScreenX(this.renderX(alpha));
+    const sy = camera.toScreenY(this.renderY(alpha));
+    ctx.fillStyle = color;
     ctx.fillRect(sx, sy, this.width * camera.scale, this.height * camera.scale);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * MovingPlatform
+ * Oscillates around its spawn position along one axis (sine wave).
+ * A player standing on it is carried along.
+ */
+export class MovingPlatform extends Platform {
+  /**
+   * @param {number} worldX  Center of the motion
+   * @param {number} worldY
+   * @param {number} width
+   * @param {number} height
+   * @param {object} opts
+   * @param {"x"|"y"} opts.axis
+   * @param {number} opts.range   Max offset from the center (world px)
+   * @param {number} opts.speed   Angular speed (rad/s)
+   * @param {number} [opts.phase] Starting phase (rad)
+   */
+  constructor(worldX, worldY, width, height, { axis, range, speed, phase = 0 }) {
+    super(worldX, worldY, width, height);
+    this.axis   = axis;
+    this.range  = range;
+    this.speed  = speed;
+    this._phase = phase;
+    this._place();
+    this.prevX  = this.worldX;
+    this.prevY  = this.worldY;
+  }
+
+  get type() { return "moving"; }
+
+  update(dt) {
+    super.update(dt);
+    this._phase += this.speed * dt;
+    this._place();
+  }
+
+  _place() {
+    const offset = Math.sin(this._phase) * this.range;
+    if (this.axis === "x") this.worldX = this.baseX + offset;
+    else                   this.worldY = this.baseY + offset;
+  }
+
+  draw(ctx, camera, alpha = 1) {
+    this._drawRect(ctx, camera, alpha, this.landed ? "#4a9" : "#8cf");
+
+    // Arrows at both ends hint the direction of travel
+    const s  = camera.scale;
+    const sx = camera.toScreenX(this.renderX(alpha));
+    const sy = camera.toScreenY(this.renderY(alpha));
+    const w  = this.width * s;
+    const h  = this.height * s;
+    ctx.fillStyle = "#135";
+    ctx.font = Math.round(h * 0.9) + "px monospace";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "center";
+    const arrows = this.axis === "x" ? ["◀", "▶"] : ["▲", "▼"];
+    ctx.fillText(arrows[0], sx + h * 0.6,     sy + h / 2);
+    ctx.fillText(arrows[1], sx + w - h * 0.6, sy + h / 2);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+  }
+}
+
+/**
+ * CrumblingPlatform
+ * Starts to shake when landed on and gives way after `delay` seconds,
+ * so the player has to charge and jump again quickly.
+ */
+export class CrumblingPlatform extends Platform {
+  /**
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} width
+   * @param {number} height
+   * @param {object} opts
+   * @param {number} opts.delay  Seconds between landing and falling
+   */
+  constructor(worldX, worldY, width, height, { delay }) {
+    super(worldX, worldY, width, height);
+    this.delay   = delay;
+    this._timer  = null; // seconds left once triggered
+    this._fallVy = 0;
+  }
+
+  get type() { return "crumbling"; }
+
+  onLand(player) {
+    if (this._timer === null) this._timer = this.delay;
+  }
+
+  update(dt) {
+    super.update(dt);
+    if (this._timer === null) return;
+
+    if (this.isSolid) {
+      this._timer -= dt;
+      if (this._timer <= 0) this.isSolid = false;
+      return;
+    }
+
+    // Debris falls off screen
+    this._fallVy += 1400 * dt;
+    this.worldY  += this._fallVy * dt;
+  }
+
+  draw(ctx, camera, alpha = 1) {
+    // Shake harder as it's about to give way
+    const urgency = this._timer !== null && this.isSolid ? 1 - this._timer / this.delay : 0;
+    const shake   = urgency * 3 * Math.sin(this._timer * 60);
+
+    ctx.save();
+    ctx.translate(shake * camera.scale, 0);
+    ctx.globalAlpha = this.isSolid ? 1 : 0.5;
+    this._drawRect(ctx, camera, alpha, this.landed ? "#a86" : "#c96");
+
+    // Cracks
+    const sx = camera.toScreenX(this.renderX(alpha));
+    const sy = camera.toScreenY(this.renderY(alpha));
+    const w  = this.width  * camera.scale;
+    const h  = this.height * camera.scale;
+    ctx.strokeStyle = "#642";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const f of [0.3, 0.7]) {
+      ctx.moveTo(sx + w * f,         sy);
+      ctx.lineTo(sx + w * f + h / 3, sy + h / 2);
+      ctx.lineTo(sx + w * f - h / 4, sy + h);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+/**
+ * BouncyPlatform
+ * Relaunches the player on touchdown with a fixed jump (charge fraction
+ * `charge`, same velocity curve as a charged jump). PlatformManager places
+ * the next platform where that jump lands.
+ */
+export class BouncyPlatform extends Platform {
+  /**
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} width
+   * @param {number} height
+   * @param {object} opts
+   * @param {number} opts.charge  0..1
+   */
+  constructor(worldX, worldY, width, height, { charge }) {
+    super(worldX, worldY, width, height);
+    this.charge  = charge;
+    this._squash = 0; // 1 right after a bounce, decays to 0
+  }
+
+  get type() { return "bouncy"; }
+
+  onLand(player) {
+    this._squash = 1;
+    player.cancelCharge();
+    player.launch(this.charge);
+  }
+
+  update(dt) {
+    super.update(dt);
+    this._squash = Math.max(0, this._squash - dt * 4);
+  }
+
+  draw(ctx, camera, alpha = 1) {
+    this._drawRect(ctx, camera, alpha, this.landed ? "#c4a" : "#f4a");
+
+    // Spring coil under the pad, compressed right after a bounce
+    const sx = camera.toScreenX(this.renderX(alpha));
+    const sy = camera.toScreenY(this.renderY(alpha));
+    const w  = this.width  * camera.scale;
+    const h  = this.height * camera.scale;
+    const coil = h * (1.2 - 0.6 * this._squash);
+    ctx.strokeStyle = "#f4a";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= 6; i++) {
+      const x = sx + w * (0.3 + 0.4 * i / 6);
+      const y = sy + h + (i % 2 ? coil : 0);
+      if (i === 0) ctx.moveTo(x, y);
+      else         ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+}
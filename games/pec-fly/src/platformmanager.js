@@ -1,29 +1,49 @@
-import { Platform } from "./platform.js";
+import { Platform, MovingPlatform, CrumblingPlatform, BouncyPlatform } from "./platform.js";
 import { config } from "./config.js";
+import { SeededRandom, randomSeed } from "../../../shared/random.js";
+import { difficultyAt, jumpDistance, jumpPoint, jumpVelocity, maxJumpRise } from "./difficulty.js";
+import { Pickup } from "./pickup.js";
+
+// Share of a full-charge jump's rise a platform may sit above the previous one
+const RISE_MARGIN = 0.8;
+// Player size (world px): the player lands as soon as it overlaps a platform
+const PLAYER_WIDTH  = 32;
+const PLAYER_HEIGHT = 48;
+// Charge steps tried when looking for jump arcs to put pickups on
+const ARC_STEPS = 20;
 
 /**
  * PlatformManager
  * All coordinates are in world space.
- * Gaps and platform sizes are derived from the effective visible world
+ * Gaps and platform sizes are derived from the camera's reference area (the
+ * same on every screen, so a seed is the same course everywhere) and scaled
+ * by the difficulty curve (difficulty.js) as more platforms spawn.
+ * Gaps and platform types come from a seeded PRNG: the same seed always
+ * builds the same course.
+ *
+ * Platform types are picked by the weight* config keys. A bouncy platform
+ * is always followed by a wide static or crumbling one placed where its
+ * relaunch lands.
+ *
+ * Pickups (pickup.js) float on a jump arc that lands on the next platform,
+ * with a random charge, so collecting them means changing jump power.
  */
 export class PlatformManager {
   /**
    * @param {number} canvasWidth
    * @param {number} canvasHeight
    * @param {import('./camera.js').Camera} camera
+   * @param {number} seed  Course seed (unsigned 32-bit)
    */
-  constructor(canvasWidth, canvasHeight, camera) {
+  constructor(canvasWidth, canvasHeight, camera, seed = randomSeed()) {
     this.canvasWidth  = canvasWidth;
     this.canvasHeight = canvasHeight;
+    this.seed         = seed;
+    this.rng          = new SeededRandom(seed);
 
-    // Effective world dimensions (what the player actually sees)
-    const worldW = canvasWidth  / camera.scale;
-    const worldH = canvasHeight / camera.scale;
-
-    const platW  = Math.round(worldW * 0.18);  // ~18% of visible width
-    const minGapX = Math.round(worldW * 0.22); // min jump reaches this
-    const maxGapX = Math.round(worldW * 0.40); // max jump overshoots this
-    const gapY    = Math.round(worldH * 0.15); // vertical variance ~15% of height
+    // Course dimensions, independent of the window's aspect ratio
+    const worldW = camera.referenceWidth;
+    const worldH = camera.referenceHeight;
 
     this.config = {
       platformWidth  : Math.round(worldW * config.get("platformWidthPct")),
@@ -34,10 +54,34 @@ export class PlatformManager {
       maxGapY        :  Math.round(worldH * config.get("minGapYPct")),
       floorY         : Math.round(worldH * 0.82),
       minY           : Math.round(worldH * 0.12),
+      difficulty     : config.get("difficulty"),
+      weights        : {
+        static   : config.get("weightStatic"),
+        moving   : config.get("weightMoving"),
+        crumbling: config.get("weightCrumbling"),
+        bouncy   : config.get("weightBouncy"),
+      },
+      specialAfter   : config.get("specialAfter"),
+      moveRangeX     : Math.round(worldW * config.get("moveRangePct")),
+      moveRangeY     : Math.round(worldH * config.get("moveRangePct")),
+      moveSpeed      : config.get("moveSpeed"),
+      crumbleDelay   : config.get("crumbleDelaySec"),
+      bounceCharge   : config.get("bounceCharge"),
+      pickupChance   : config.get("pickupChance"),
+      pickupWeights  : {
+        coin        : config.get("weightCoin"),
+        slowMo      : config.get("weightSlowMo"),
+        shield      : config.get("weightShield"),
+        doubleCharge: config.get("weightDoubleCharge"),
+      },
     };
+    this.spawned = 0; // platforms spawned after the starting one, drives the curve
+    this.time    = 0; // seconds advanced, animates pickups
 
     /** @type {Platform[]} */
     this.platforms = [];
+    /** @type {Pickup[]} */
+    this.pickups   = [];
     this._spawnInitial();
   }
 
@@ -53,13 +97,150 @@ export class PlatformManager {
   }
 
   _spawnNext() {
-    const { platformWidth, platformHeight, minGapX, maxGapX, minGapY, maxGapY, floorY, minY } = this.config;
-    const last = this._last();
-    const gapX = minGapX + Math.random() * (maxGapX - minGapX);
-    const gapY = minGapY + Math.random() * (maxGapY - minGapY);
-    const x    = last.right + gapX;
-    const y    = Math.max(minY, Math.min(floorY, last.worldY + gapY));
-    this.platforms.push(new Platform(x, y, platformWidth, platformHeight));
+    const { platformWidth, platformHeight, minGapX, maxGapX, minGapY, maxGapY, floorY, minY, difficulty } = this.config;
+    const last  = this._last();
+    const level = difficultyAt(difficulty, this.spawned++);
+    const type  = this._pickType(last);
+    const axis  = type === "moving" ? (this.rng.next() < 0.5 ? "x" : "y") : null;
+
+    const gapX = this.rng.range(minGapX * level.minGapX, maxGapX * level.maxGapX);
+    const gapY = this.rng.range(minGapY * level.gapY,    maxGapY * level.gapY);
+
+    if (last.type === "bouncy") {
+      this._push(last, this._landingPad(last, type, gapY));
+      return;
+    }
+
+    // Movers shift where the player takes off from / lands on
+    const slackX = this._rangeAlong(last, "x") + (axis === "x" ? this.config.moveRangeX : 0);
+    const slackY = this._rangeAlong(last, "y") + (axis === "y" ? this.config.moveRangeY : 0);
+
+    // Never higher than a full jump can climb
+    const maxRise = maxJumpRise() * RISE_MARGIN - slackY;
+    const y = Math.max(minY, last.baseY - maxRise, Math.min(floorY, last.baseY + gapY));
+    const dy    = y - last.baseY;
+    const width = Math.round(platformWidth * level.width);
+    const x     = last.baseX + last.width + this._reachableGap(gapX, dy - slackY, dy + slackY, last.width, width, slackX);
+
+    this._push(last, this._create(type, Math.round(x), Math.round(y), width, platformHeight, axis));
+  }
+
+  _push(last, platform) {
+    this.platforms.push(platform);
+    this._spawnPickup(last, platform);
+  }
+
+  /**
+   * Maybe put a pickup on the arc of a jump from the middle of `from` that
+   * lands on `to`. Bouncy platforms only have their own relaunch arc.
+   */
+  _spawnPickup(from, to) {
+    const { pickupChance, pickupWeights, bounceCharge } = this.config;
+    if (this.rng.next() >= pickupChance) return;
+    const kind = this.rng.weighted(pickupWeights);
+    if (!kind) return;
+
+    const x0 = from.baseX + from.width / 2 - PLAYER_WIDTH / 2; // player left edge at take-off
+    const dy = to.baseY - from.baseY;
+    const landsOnTo = (t) => {
+      const d = jumpDistance(t, dy);
+      return d !== null && x0 + d + PLAYER_WIDTH > to.baseX && x0 + d < to.baseX + to.width;
+    };
+
+    const charges = [];
+    if (from.type === "bouncy") charges.push(bounceCharge);
+    else {
+      for (let i = 0; i <= ARC_STEPS; i++) {
+        if (landsOnTo(i / ARC_STEPS)) charges.push(i / ARC_STEPS);
+      }
+    }
+    if (!charges.length) return;
+
+    const t = charges[Math.floor(this.rng.next() * charges.length)];
+    const p = jumpPoint(t, dy, this.rng.range(0.35, 0.65));
+    // Pickup at the player's center at that point of the flight
+    this.pickups.push(new Pickup(
+      Math.round(x0 + p.x + PLAYER_WIDTH / 2),
+      Math.round(from.baseY - PLAYER_HEIGHT / 2 + p.y),
+      kind
+    ));
+  }
+
+  /** Weighted platform type; only plain ones early on and after a bouncy */
+  _pickType(last) {
+    const { weights, specialAfter } = this.config;
+    if (this.spawned <= specialAfter) return "static";
+    if (last.type === "bouncy") {
+      return this.rng.weighted({ static: weights.static, crumbling: weights.crumbling }) ?? "static";
+    }
+    return this.rng.weighted(weights) ?? "static";
+  }
+
+  _create(type, x, y, width, height, axis) {
+    const c = this.config;
+    switch (type) {
+      case "moving":
+        return new MovingPlatform(x, y, width, height, {
+          axis,
+          range: axis === "x" ? c.moveRangeX : c.moveRangeY,
+          speed: c.moveSpeed,
+          phase: this.rng.range(0, Math.PI * 2),
+        });
+      case "crumbling":
+        return new CrumblingPlatform(x, y, width, height, { delay: c.crumbleDelay });
+      case "bouncy":
+        return new BouncyPlatform(x, y, width, height, { charge: c.bounceCharge });
+      default:
+        return new Platform(x, y, width, height);
+    }
+  }
+
+  /** Motion range of a platform along an axis (0 unless it moves that way) */
+  _rangeAlong(platform, axis) {
+    return platform.type === "moving" && platform.axis === axis ? platform.range : 0;
+  }
+
+  /**
+   * Platform after a bouncy one: wide enough that the fixed relaunch lands
+   * on it from any touchdown point on the bouncy platform.
+   */
+  _landingPad(bouncy, type, gapY) {
+    const { platformHeight, floorY, minY, bounceCharge } = this.config;
+    const { vy }  = jumpVelocity(bounceCharge);
+    const maxRise = vy * vy / (2 * config.get("gravity")) * RISE_MARGIN;
+
+    const y     = Math.max(minY, bouncy.worldY - maxRise, Math.min(floorY, bouncy.worldY + gapY));
+    const reach = jumpDistance(bounceCharge, y - bouncy.worldY);
+    const x     = bouncy.left + reach - PLAYER_WIDTH / 2;
+    return this._create(type, Math.round(x), Math.round(y), bouncy.width + PLAYER_WIDTH, platformHeight, null);
+  }
+
+  /**
+   * Clamp a horizontal gap so the next platform can be hit from anywhere on
+   * the last one: the longest jump still reaches it from the back edge and
+   * the shortest doesn't fly over it from the front edge. Any overlap counts
+   * as standing, so the player may take off from just past either edge.
+   * @param {number} gapX    Desired gap
+   * @param {number} dyHigh  Highest the next platform can be relative to the last (positive = lower)
+   * @param {number} dyLow   Lowest the next platform can be relative to the last
+   * @param {number} lastW   Width of the last platform
+   * @param {number} nextW   Width of the next platform
+   * @param {number} slackX  How far moving platforms can shift the gap either way
+   */
+  _reachableGap(gapX, dyHigh, dyLow, lastW, nextW, slackX = 0) {
+    // A landing height above the full jump's reach has no distance: use the highest reachable
+    const far    = jumpDistance(1, Math.max(dyHigh, -maxJumpRise() * RISE_MARGIN));
+    const near   = jumpDistance(0, dyLow) ?? 0;
+
+    const maxGap = far  - lastW - slackX;
+    const minGap = near - nextW + slackX;
+    return Math.max(minGap, Math.min(maxGap, gapX));
+  }
+
+  /** Move/animate every platform by one physics step */
+  advance(dt) {
+    this.time += dt;
+    for (const p of this.platforms) p.update(dt);
   }
 
   /**
@@ -68,6 +249,7 @@ export class PlatformManager {
    */
   update(camera) {
     this.platforms = this.platforms.filter(p => p.right > camera.x - 200);
+    this.pickups   = this.pickups.filter(p => !p.collected && p.right > camera.x - 200);
     const visibleWorldWidth = this.canvasWidth / camera.scale;
     while (this._last().worldX < camera.x + visibleWorldWidth + 600) {
       this._spawnNext();
@@ -77,10 +259,14 @@ export class PlatformManager {
   /**
    * @param {CanvasRenderingContext2D} ctx
    * @param {import('./camera.js').Camera} camera
+   * @param {number} alpha  Interpolation factor between physics steps
    */
-  draw(ctx, camera) {
+  draw(ctx, camera, alpha = 1) {
     for (const p of this.platforms) {
-      p.draw(ctx, camera);
+      p.draw(ctx, camera, alpha);
+    }
+    for (const p of this.pickups) {
+      p.draw(ctx, camera, this.time);
     }
   }
 }
\ No newline at end of file
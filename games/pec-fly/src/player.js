@@ -1,5 +1,5 @@
 import { config } from "./config.js";
-import { SoundManager } from "../../../shared/sound_manager.js";
+import { jumpVelocity } from "./difficulty.js";
 
 /**
  * Player
@@ -11,23 +11,33 @@ export class Player {
   /**
    * @param {number} worldX
    * @param {number} worldY
+   * @param {import('../../../shared/sound_manager.js').SoundManager} [sounds]  null = silent (headless)
    */
-  constructor(worldX, worldY) {
+  constructor(worldX, worldY, sounds = null) {
     this.worldX = worldX;
     this.worldY = worldY;
+    this.prevX  = worldX; // position at the previous physics step,
+    this.prevY  = worldY; // used to interpolate rendering
     this.width  = 32;
     this.height = 48;
-    this._sounds  = new SoundManager();
+    this.color  = "#5cf";
+    this._sounds  = sounds;
 
     this.vx = 0;
     this.vy = 0;
 
     this.isOnGround = true;
     this.isDead     = false;
+    this.standingOn = null; // platform under the player while on the ground
+
+    // Power-ups (set by World)
+    this.chargeRate = 1;    // charge seconds gained per simulated second
+    this.onFall     = null; // () => boolean, true when something saved the fall
 
     // Charge state
-    this.isCharging = false;
-    this.chargeTime = 0;
+    this.isCharging  = false;
+    this.chargeTime  = 0;
+    this.chargeLevel = null; // 0..1 set by an analog trigger (holdCharge), null = charge fills over time
 
     // Physics
     this.gravity   = 1400; // px/s²
@@ -45,8 +55,21 @@ export class Player {
   /** Begin charging. Call when input is first pressed. */
   startCharge() {
     if (!this.isOnGround || this.isDead) return;
-    this.isCharging = true;
-    this.chargeTime = 0;
+    this.isCharging  = true;
+    this.chargeTime  = 0;
+    this.chargeLevel = null;
+  }
+
+  /**
+   * Set the charge from an analog trigger's depth instead of elapsed time.
+   * The deepest pull of this charge counts, so easing off the trigger to
+   * release doesn't weaken the jump.
+   * @param {number} t  Trigger depth 0..1
+   */
+  holdCharge(t) {
+    if (!this.isCharging) return;
+    this.chargeLevel = Math.max(this.chargeLevel ?? 0, Math.min(t, 1));
+    this.chargeTime  = this.chargeLevel * config.get("maxCharge");
   }
 
   /**
@@ -58,14 +81,45 @@ export class Player {
     this.isCharging = false;
 
     const maxCharge = config.get("maxCharge");
-    const t = Math.min(this.chargeTime, maxCharge) / maxCharge; // 0..1
-    
-    this.vx = config.get("minVx") + t * (config.get("maxVx") - config.get("minVx"));
-    this.vy = config.get("minVy") + t * (config.get("maxVy") - config.get("minVy"));
-    this.isOnGround = false;
+    this.launch(Math.min(this.chargeTime, maxCharge) / maxCharge);
     return true;
   }
 
+  /**
+   * Leave the ground with the velocity of a jump charged to t.
+   * @param {number} t  Charge 0..1
+   */
+  launch(t) {
+    const { vx, vy } = jumpVelocity(t);
+    this.vx = vx;
+    this.vy = vy;
+    this.isOnGround = false;
+    this.standingOn = null;
+  }
+
+  /**
+   * Put the player back standing on a platform (shield rescue).
+   * @param {import('./platform.js').Platform} platform
+   */
+  placeOn(platform) {
+    this.worldX     = platform.left + platform.width / 2 - this.width / 2;
+    this.worldY     = platform.top - this.height;
+    this.prevX      = this.worldX;
+    this.prevY      = this.worldY;
+    this.vx         = 0;
+    this.vy         = 0;
+    this.isOnGround = true;
+    this.standingOn = platform;
+    this.cancelCharge();
+  }
+
+  /** Drop a charge in progress without jumping (e.g. when pausing) */
+  cancelCharge() {
+    this.isCharging  = false;
+    this.chargeTime  = 0;
+    this.chargeLevel = null;
+  }
+
   /** Charge percentage 0..1 for the UI */
   get chargePct() {
     return Math.min(this.chargeTime / config.get("maxCharge"), 1);
@@ -76,12 +130,32 @@ export class Player {
   /**
    * @param {number} dt
    * @param {import('./games/pec-fly/platform.js').Platform[]} platforms
-   * @param {number} worldHeight  Canvas height converted to world space
+   * @param {number} worldHeight  Course height in world space (falling below it = dead)
+   * @returns {import('./platform.js').Platform|null} platform landed on this step
    */
   update(dt, platforms, worldHeight) {
-    if (this.isDead) return;
-
-    if (this.isCharging) this.chargeTime += dt;
+    this.prevX = this.worldX;
+    this.prevY = this.worldY;
+    if (this.isDead) return null;
+
+    if (this.isCharging && this.chargeLevel === null) this.chargeTime += dt * this.chargeRate;
+
+    let landed = null;
+
+    // Ride moving platforms, drop when the platform gives way
+    const ground = this.standingOn;
+    if (this.isOnGround && ground) {
+      if (ground.isSolid) {
+        this.worldX += ground.dx;
+        this.worldY  = ground.top - this.height;
+      } else {
+        this.isOnGround = false;
+        this.standingOn = null;
+        this.vx = 0;
+        this.vy = 0;
+        this.cancelCharge();
+      }
+    }
 
     if (!this.isOnGround) {
       // Save position BEFORE moving for sweep collision
@@ -94,6 +168,7 @@ export class Player {
       // Only check collision when falling downward
       if (this.vy >= 0) {
         for (const platform of platforms) {
+          if (!platform.isSolid) continue;
           const horizontalOverlap =
             this.right > platform.left &&
             this.left  < platform.right;
@@ -109,7 +184,10 @@ export class Player {
             this.vy         = 0;
             this.vx         = 0;
             this.isOnGround = true;
-            this._sounds.point();
+            this.standingOn = platform;
+            this._sounds?.play("point");
+            landed = platform;
+            platform.onLand(this);
             break;
           }
         }
@@ -118,22 +196,31 @@ export class Player {
 
     // Fell out of the world
     if (this.worldY > worldHeight + 100) {
+      if (this.onFall?.()) return landed;
       this.isDead = true;
-      this._sounds.die();
+      this._sounds?.play("die");
     }
+    return landed;
   }
 
   // --- Draw ------------------------------------------------------------------
 
+  /** Interpolated world X between the last two physics steps */
+  renderX(alpha) { return this.prevX + (this.worldX - this.prevX) * alpha; }
+
+  /** Interpolated world Y between the last two physics steps */
+  renderY(alpha) { return this.prevY + (this.worldY - this.prevY) * alpha; }
+
   /**
    * @param {CanvasRenderingContext2D} ctx
    * @param {import('./camera.js').Camera} camera
+   * @param {number} alpha  Interpolation factor between physics steps
    */
-  draw(ctx, camera) {
-    const sx = camera.toScreenX(this.worldX);
-    const sy = camera.toScreenY(this.worldY);
+  draw(ctx, camera, alpha = 1) {
+    const sx = camera.toScreenX(this.renderX(alpha));
+    const sy = camera.toScreenY(this.renderY(alpha));
 
-    ctx.fillStyle = this.isDead ? "#f44" : "#5cf";
+    ctx.fillStyle = this.isDead ? "#f44" : this.color;
     ctx.fillRect(sx, sy, this.width * camera.scale, this.height * camera.scale);
 
     // Charge bar (above player, only while charging)
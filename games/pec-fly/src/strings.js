@@ -0,0 +1,362 @@
+/**
+ * Pec-Fly texts per language: config panel labels (config.<key>, see
+ * shared/config_panel.js), in-canvas text and the calibration copy.
+ * Added to the shared i18n tables by config.js.
+ */
+export const PEC_FLY_STRINGS = {
+  es: {
+    // Config panel sections
+    "section.general"              : "General",
+    "section.audio"                : "Sonido",
+    "section.controls"             : "Controles",
+    "section.camera"               : "Cámara",
+    "section.detection"            : "Detección de ejercicio",
+    "section.flow"                 : "Flujo de juego",
+    "section.physics"              : "Física del salto",
+    "section.platforms"            : "Plataformas",
+    "section.platformTypes"        : "Tipos de plataforma",
+    "section.pickups"              : "Objetos y potenciadores",
+
+    // Audio
+    "config.masterVolume"          : "Volumen general",
+    "config.sfxVolume"             : "Volumen efectos",
+    "config.musicVolume"           : "Volumen música",
+    "config.muted"                 : "Silenciar",
+    "config.chargeSound"           : "Sonido de carga",
+    "config.chargeSound.off"       : "Ninguno",
+    "config.chargeSound.tone"      : "Tono ascendente",
+    "config.chargeSound.ticks"     : "Pasos",
+    "config.cadenceMusic"          : "Música al ritmo",
+    "config.cadenceMusic.false"    : "No",
+    "config.cadenceMusic.true"     : "Sí — un compás por repetición",
+    "config.targetCadence"         : "Ritmo objetivo (reps/min)",
+
+    // Controls (codes separated by commas, empty = default)
+    "config.bindJump"              : "Saltar",
+    "config.bindCharge"            : "Carga analógica",
+    "config.bindConfirm"           : "Confirmar",
+    "config.bindPause"             : "Pausa",
+    "config.bindMenu"              : "Menú",
+
+    // Camera
+    "config.cameraDeviceId"        : "Cámara activa",
+    "config.cameraOpacity"         : "Opacidad preview",
+    "config.modelComplexity"       : "Precisión MediaPipe",
+    "config.modelComplexity.0"     : "0 — Rápido",
+    "config.modelComplexity.1"     : "1 — Balanceado",
+    "config.modelComplexity.2"     : "2 — Preciso",
+    "config.minVisibility"         : "Visibilidad mínima",
+    "config.landmarkFilter"        : "Suavizado de puntos",
+    "config.landmarkFilter.none"   : "Ninguno",
+    "config.landmarkFilter.ema"    : "Exponencial",
+    "config.landmarkFilter.oneEuro": "One-Euro",
+    "config.filterAlpha"           : "Alfa exponencial",
+    "config.filterMinCutoff"       : "One-Euro corte mín. (Hz)",
+    "config.filterBeta"            : "One-Euro beta",
+    "debug.recording"              : "Grabación de pose",
+    "debug.record"                 : "⏺ Grabar",
+    "debug.stopAndSave"            : "⏹ Detener y guardar",
+    "debug.load"                   : "📂 Cargar",
+    "debug.live"                   : "📷 Volver a cámara en vivo",
+    "debug.loadFailed"             : "No se pudo cargar la grabación: {error}",
+    "debug.recordingStatus"        : "● GRABANDO",
+    "debug.replayingStatus"        : "▶ {name}",
+
+    // Detection
+    "config.inputMode"             : "Modo de control",
+    "config.inputMode.pecFly"      : "Pec fly — brazos",
+    "config.inputMode.squat"       : "Sentadilla — piernas",
+    "config.thresholdClosed"       : "Pec fly: umbral cerrado (≤)",
+    "config.thresholdOpen"         : "Pec fly: umbral abierto (≥)",
+    "config.squatThresholdDown"    : "Sentadilla: umbral abajo (≤)",
+    "config.squatThresholdUp"      : "Sentadilla: umbral arriba (≥)",
+    "config.calibrationMargin"     : "Margen histéresis (%)",
+    "config.calibrationHoldSec"    : "Tiempo por pose (s)",
+    "debug.calibrate"              : "🎯 Calibrar umbrales",
+
+    // Game flow
+    "config.countdownSec"          : "Cuenta atrás (s)",
+    "config.resumeCountdownSec"    : "Cuenta atrás al reanudar (s)",
+    "config.autoPauseGraceSec"     : "Pausa sin pose tras (s)",
+    "config.gameOverCooldownSec"   : "Espera tras perder (s)",
+    "config.gestureHoldSec"        : "Gesto manos arriba (s)",
+
+    // Jump physics
+    "config.gravity"               : "Gravedad",
+    "config.minVx"                 : "Vel. horizontal mínima",
+    "config.maxVx"                 : "Vel. horizontal máxima",
+    "config.minVy"                 : "Vel. vertical mínima",
+    "config.maxVy"                 : "Vel. vertical máxima",
+    "config.maxCharge"             : "Tiempo carga máxima (s)",
+
+    // Platforms
+    "config.difficulty"            : "Dificultad (progresiva)",
+    "config.difficulty.easy"       : "Fácil — principiantes",
+    "config.difficulty.normal"     : "Normal",
+    "config.difficulty.hard"       : "Difícil — habituales",
+    "config.platformWidthPct"      : "Ancho plataforma (%)",
+    "config.minGapXPct"            : "Gap horizontal mín (%)",
+    "config.maxGapXPct"            : "Gap horizontal máx (%)",
+    "config.minGapYPct"            : "Variación vertical (%)",
+    "config.referenceWidth"        : "Zoom global (ref. width)",
+    "config.seed"                  : "Semilla del recorrido",
+    "config.seed.placeholder"      : "Aleatoria",
+    "config.dailyChallenge"        : "Reto diario",
+    "config.dailyChallenge.false"  : "No",
+    "config.dailyChallenge.true"   : "Sí — mismo recorrido para todos hoy",
+
+    // Platform types
+    "config.weightStatic"          : "Peso: fija",
+    "config.weightMoving"          : "Peso: móvil",
+    "config.weightCrumbling"       : "Peso: se derrumba",
+    "config.weightBouncy"          : "Peso: rebote",
+    "config.specialAfter"          : "Primeras plataformas fijas",
+    "config.moveRangePct"          : "Recorrido móvil (%)",
+    "config.moveSpeed"             : "Velocidad móvil (rad/s)",
+    "config.crumbleDelaySec"       : "Derrumbe tras (s)",
+    "config.bounceCharge"          : "Fuerza del rebote",
+
+    // Pickups
+    "config.pickupChance"          : "Probabilidad por hueco (%)",
+    "config.weightCoin"            : "Peso: moneda",
+    "config.weightSlowMo"          : "Peso: cámara lenta",
+    "config.weightShield"          : "Peso: escudo",
+    "config.weightDoubleCharge"    : "Peso: carga doble",
+    "config.coinValue"             : "Puntos por moneda",
+    "config.slowMoSec"             : "Cámara lenta (s)",
+    "config.slowMoFactor"          : "Velocidad en cámara lenta (%)",
+    "config.doubleChargeSec"       : "Carga doble (s)",
+    "pickup.coin"                  : "Moneda",
+    "pickup.slowMo"                : "Cámara lenta",
+    "pickup.shield"                : "Escudo",
+    "pickup.doubleCharge"          : "Carga x2",
+
+    // HUD
+    "hud.score"                    : "Puntos: {score}   Reps: {reps}",
+    "hud.controls"                 : "Mantén ESPACIO para cargar, suelta para saltar",
+    "hud.charging"                 : "Cargando... {level}",
+    "hud.charge.short"             : "corto",
+    "hud.charge.medium"            : "medio",
+    "hud.charge.full"              : "¡MÁXIMA POTENCIA!",
+
+    // Screens
+    "title.heading"                : "PEC-FLY JUMP",
+    "title.start"                  : "ENTER / toca / levanta las dos manos para empezar",
+    "hint.pecFly.controls"         : "Cierra los brazos para cargar, ábrelos para saltar",
+    "hint.pecFly.position"         : "Entra en el encuadre con brazos y hombros a la vista",
+    "hint.squat.controls"          : "Baja en sentadilla para cargar, sube para saltar",
+    "hint.squat.position"          : "Aléjate hasta que se vean la cadera y las rodillas",
+    "countdown.heading"            : "COLÓCATE",
+    "countdown.waitingCamera"      : "Esperando a la cámara...",
+    "countdown.startAnyway"        : "ENTER / toca para empezar igualmente",
+    "countdown.getReady"           : "¡Prepárate!",
+    "paused.heading"               : "PAUSA",
+    "paused.comeBack"              : "Vuelve al encuadre para continuar",
+    "paused.resume"                : "ESC / ENTER / toca / levanta las dos manos para seguir",
+    "paused.menu"                  : "M: volver al menú",
+    "gameOver.heading"             : "FIN DE LA PARTIDA",
+    "gameOver.restartIn"           : "Reinicio en {n}...",
+    "gameOver.restart"             : "ENTER / toca / levanta las dos manos para reiniciar",
+    "gameOver.score"               : "Puntos: {score}  -  {prompt}",
+    "gameOver.pickProfile"         : "Elige un perfil para guardar tu puntuación",
+    "gameOver.newBest"             : "{name}: ¡NUEVO RÉCORD PERSONAL!",
+    "gameOver.best"                : "Récord de {name}: {score}",
+    "gameOver.reps"                : "Reps: {reps}   Tiempo: {time}",
+    "gameOver.repTimes"            : "Rep media: {avg}   Más rápida: {fastest}   Más lenta: {slowest}",
+    "gameOver.daily"               : "Reto diario {date}   ",
+    "gameOver.seed"                : "Semilla: {seed}",
+    "gameOver.top"                 : "TOP {n}",
+
+    // Calibration
+    "calibration.pecFly.rest"      : "Brazos abiertos",
+    "calibration.pecFly.restHint"  : "Abre los brazos en cruz todo lo que puedas y mantén la pose.",
+    "calibration.pecFly.active"    : "Brazos cerrados",
+    "calibration.pecFly.activeHint": "Junta las manos frente al pecho y mantén la pose.",
+    "calibration.pecFly.tooClose"  : "Las poses abierta y cerrada son demasiado parecidas. Abre y cierra más los brazos.",
+    "calibration.squat.rest"       : "De pie",
+    "calibration.squat.restHint"   : "Ponte de pie y erguido, con cadera y rodillas a la vista.",
+    "calibration.squat.active"     : "Sentadilla",
+    "calibration.squat.activeHint" : "Baja a tu sentadilla más profunda y mantén la pose.",
+    "calibration.squat.tooClose"   : "Las poses de pie y abajo son demasiado parecidas. Baja más en la sentadilla.",
+    "calibration.result"           : "Umbral activo: {active}  ·  Umbral reposo: {rest}",
+    "calibration.rejected"         : "Los umbrales medidos no son válidos para la configuración. Inténtalo de nuevo.",
+  },
+
+  en: {
+    // Config panel sections
+    "section.general"              : "General",
+    "section.audio"                : "Sound",
+    "section.controls"             : "Controls",
+    "section.camera"               : "Camera",
+    "section.detection"            : "Exercise detection",
+    "section.flow"                 : "Game flow",
+    "section.physics"              : "Jump physics",
+    "section.platforms"            : "Platforms",
+    "section.platformTypes"        : "Platform types",
+    "section.pickups"              : "Pickups and power-ups",
+
+    // Audio
+    "config.masterVolume"          : "Master volume",
+    "config.sfxVolume"             : "Effects volume",
+    "config.musicVolume"           : "Music volume",
+    "config.muted"                 : "Mute",
+    "config.chargeSound"           : "Charge sound",
+    "config.chargeSound.off"       : "None",
+    "config.chargeSound.tone"      : "Rising tone",
+    "config.chargeSound.ticks"     : "Ticks",
+    "config.cadenceMusic"          : "Music on the beat",
+    "config.cadenceMusic.false"    : "No",
+    "config.cadenceMusic.true"     : "Yes — one bar per rep",
+    "config.targetCadence"         : "Target cadence (reps/min)",
+
+    // Controls (codes separated by commas, empty = default)
+    "config.bindJump"              : "Jump",
+    "config.bindCharge"            : "Analog charge",
+    "config.bindConfirm"           : "Confirm",
+    "config.bindPause"             : "Pause",
+    "config.bindMenu"              : "Menu",
+
+    // Camera
+    "config.cameraDeviceId"        : "Active camera",
+    "config.cameraOpacity"         : "Preview opacity",
+    "config.modelComplexity"       : "MediaPipe accuracy",
+    "config.modelComplexity.0"     : "0 — Fast",
+    "config.modelComplexity.1"     : "1 — Balanced",
+    "config.modelComplexity.2"     : "2 — Accurate",
+    "config.minVisibility"         : "Minimum visibility",
+    "config.landmarkFilter"        : "Landmark smoothing",
+    "config.landmarkFilter.none"   : "None",
+    "config.landmarkFilter.ema"    : "Exponential",
+    "config.landmarkFilter.oneEuro": "One-Euro",
+    "config.filterAlpha"           : "Exponential alpha",
+    "config.filterMinCutoff"       : "One-Euro min. cutoff (Hz)",
+    "config.filterBeta"            : "One-Euro beta",
+    "debug.recording"              : "Pose recording",
+    "debug.record"                 : "⏺ Record",
+    "debug.stopAndSave"            : "⏹ Stop and save",
+    "debug.load"                   : "📂 Load",
+    "debug.live"                   : "📷 Back to live camera",
+    "debug.loadFailed"             : "Could not load the recording: {error}",
+    "debug.recordingStatus"        : "● REC",
+    "debug.replayingStatus"        : "▶ {name}",
+
+    // Detection
+    "config.inputMode"             : "Control mode",
+    "config.inputMode.pecFly"      : "Pec fly — arms",
+    "config.inputMode.squat"       : "Squat — legs",
+    "config.thresholdClosed"       : "Pec fly: closed threshold (≤)",
+    "config.thresholdOpen"         : "Pec fly: open threshold (≥)",
+    "config.squatThresholdDown"    : "Squat: down threshold (≤)",
+    "config.squatThresholdUp"      : "Squat: up threshold (≥)",
+    "config.calibrationMargin"     : "Hysteresis margin (%)",
+    "config.calibrationHoldSec"    : "Time per pose (s)",
+    "debug.calibrate"              : "🎯 Calibrate thresholds",
+
+    // Game flow
+    "config.countdownSec"          : "Countdown (s)",
+    "config.resumeCountdownSec"    : "Resume countdown (s)",
+    "config.autoPauseGraceSec"     : "Pause without pose after (s)",
+    "config.gameOverCooldownSec"   : "Wait after losing (s)",
+    "config.gestureHoldSec"        : "Hands-up gesture (s)",
+
+    // Jump physics
+    "config.gravity"               : "Gravity",
+    "config.minVx"                 : "Min. horizontal speed",
+    "config.maxVx"                 : "Max. horizontal speed",
+    "config.minVy"                 : "Min. vertical speed",
+    "config.maxVy"                 : "Max. vertical speed",
+    "config.maxCharge"             : "Full charge time (s)",
+
+    // Platforms
+    "config.difficulty"            : "Difficulty (progressive)",
+    "config.difficulty.easy"       : "Easy — beginners",
+    "config.difficulty.normal"     : "Normal",
+    "config.difficulty.hard"       : "Hard — regulars",
+    "config.platformWidthPct"      : "Platform width (%)",
+    "config.minGapXPct"            : "Min. horizontal gap (%)",
+    "config.maxGapXPct"            : "Max. horizontal gap (%)",
+    "config.minGapYPct"            : "Vertical variation (%)",
+    "config.referenceWidth"        : "Global zoom (ref. width)",
+    "config.seed"                  : "Course seed",
+    "config.seed.placeholder"      : "Random",
+    "config.dailyChallenge"        : "Daily challenge",
+    "config.dailyChallenge.false"  : "No",
+    "config.dailyChallenge.true"   : "Yes — same course for everyone today",
+
+    // Platform types
+    "config.weightStatic"          : "Weight: static",
+    "config.weightMoving"          : "Weight: moving",
+    "config.weightCrumbling"       : "Weight: crumbling",
+    "config.weightBouncy"          : "Weight: bouncy",
+    "config.specialAfter"          : "Static platforms first",
+    "config.moveRangePct"          : "Moving range (%)",
+    "config.moveSpeed"             : "Moving speed (rad/s)",
+    "config.crumbleDelaySec"       : "Crumbles after (s)",
+    "config.bounceCharge"          : "Bounce strength",
+
+    // Pickups
+    "config.pickupChance"          : "Chance per gap (%)",
+    "config.weightCoin"            : "Weight: coin",
+    "config.weightSlowMo"          : "Weight: slow-mo",
+    "config.weightShield"          : "Weight: shield",
+    "config.weightDoubleCharge"    : "Weight: double charge",
+    "config.coinValue"             : "Points per coin",
+    "config.slowMoSec"             : "Slow-mo (s)",
+    "config.slowMoFactor"          : "Slow-mo speed (%)",
+    "config.doubleChargeSec"       : "Double charge (s)",
+    "pickup.coin"                  : "Coin",
+    "pickup.slowMo"                : "Slow-mo",
+    "pickup.shield"                : "Shield",
+    "pickup.doubleCharge"          : "x2 charge",
+
+    // HUD
+    "hud.score"                    : "Score: {score}   Reps: {reps}",
+    "hud.controls"                 : "Hold SPACE to charge, release to jump",
+    "hud.charging"                 : "Charging... {level}",
+    "hud.charge.short"             : "short",
+    "hud.charge.medium"            : "medium",
+    "hud.charge.full"              : "FULL POWER",
+
+    // Screens
+    "title.heading"                : "PEC-FLY JUMP",
+    "title.start"                  : "ENTER / tap / raise both hands to start",
+    "hint.pecFly.controls"         : "Fly your arms closed to charge, open to jump",
+    "hint.pecFly.position"         : "Step into the frame, arms and shoulders visible",
+    "hint.squat.controls"          : "Squat down to charge, stand up to jump",
+    "hint.squat.position"          : "Step back until hips and knees are visible",
+    "countdown.heading"            : "GET IN POSITION",
+    "countdown.waitingCamera"      : "Waiting for camera...",
+    "countdown.startAnyway"        : "ENTER / tap to start anyway",
+    "countdown.getReady"           : "Get ready!",
+    "paused.heading"               : "PAUSED",
+    "paused.comeBack"              : "Come back into the frame to continue",
+    "paused.resume"                : "ESC / ENTER / tap / raise both hands to resume",
+    "paused.menu"                  : "M: back to the menu",
+    "gameOver.heading"             : "GAME OVER",
+    "gameOver.restartIn"           : "Restart in {n}...",
+    "gameOver.restart"             : "ENTER / tap / raise both hands to restart",
+    "gameOver.score"               : "Score: {score}  -  {prompt}",
+    "gameOver.pickProfile"         : "Pick a profile to save your score",
+    "gameOver.newBest"             : "{name}: NEW PERSONAL BEST!",
+    "gameOver.best"                : "{name} best: {score}",
+    "gameOver.reps"                : "Reps: {reps}   Time: {time}",
+    "gameOver.repTimes"            : "Avg rep: {avg}   Fastest: {fastest}   Slowest: {slowest}",
+    "gameOver.daily"               : "Daily challenge {date}   ",
+    "gameOver.seed"                : "Seed: {seed}",
+    "gameOver.top"                 : "TOP {n}",
+
+    // Calibration
+    "calibration.pecFly.rest"      : "Arms open",
+    "calibration.pecFly.restHint"  : "Open your arms out wide and hold the pose.",
+    "calibration.pecFly.active"    : "Arms closed",
+    "calibration.pecFly.activeHint": "Bring your hands together in front of your chest and hold the pose.",
+    "calibration.pecFly.tooClose"  : "The open and closed poses are too similar. Open and close your arms further.",
+    "calibration.squat.rest"       : "Standing",
+    "calibration.squat.restHint"   : "Stand up straight with your hips and knees in view.",
+    "calibration.squat.active"     : "Squat",
+    "calibration.squat.activeHint" : "Go down into your deepest squat and hold the pose.",
+    "calibration.squat.tooClose"   : "The standing and squat poses are too similar. Squat lower.",
+    "calibration.result"           : "Active threshold: {active}  ·  Rest threshold: {rest}",
+    "calibration.rejected"         : "The measured thresholds are not valid for the settings. Try again.",
+  },
+};
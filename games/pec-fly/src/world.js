@@ -0,0 +1,150 @@
+import { Player }          from "./player.js";
+import { PlatformManager } from "./platformmanager.js";
+import { Camera }          from "./camera.js";
+import { config }          from "./config.js";
+
+// Physics runs in fixed steps so trajectories don't depend on frame rate
+export const FIXED_DT = 1 / 120;
+
+/**
+ * World
+ * The simulation core: player, platforms, pickups, power-ups, camera and score.
+ * No DOM, canvas or audio — Game draws it and feeds it input, the
+ * headless runner (headless.js) steps it from a script in Node.
+ */
+export class World {
+  /**
+   * @param {number} width   Viewport width in CSS pixels
+   * @param {number} height  Viewport height in CSS pixels
+   * @param {number} seed    Course seed
+   * @param {object} [opts]
+   * @param {import('../../../shared/sound_manager.js').SoundManager} [opts.sounds]  null = silent
+   */
+  constructor(width, height, seed, { sounds = null } = {}) {
+    this.width  = width;
+    this.height = height;
+    this.seed   = seed;
+
+    this.camera          = new Camera(width, height);
+    this.platformManager = new PlatformManager(width, height, this.camera, seed);
+
+    const first = this.platformManager.platforms[0];
+    first.landed = true;
+
+    this.player = new Player(
+      first.worldX + first.width / 2 - 16,
+      first.top - 48,
+      sounds
+    );
+    this.player.standingOn = first;
+    this.player.onFall     = () => this._useShield();
+
+    this.camera.follow(this.player.worldX);
+    this.score = 0;
+    this.coins = 0;
+    this.time  = 0;
+
+    // Power-ups: seconds left for timed ones, shield is one use
+    this.timers = { slowMo: 0, doubleCharge: 0 };
+    this.shield = false;
+
+    this._sounds     = sounds;
+    this._lastLanded = first; // where a shield puts the player back
+  }
+
+  /** Course height in world space (bottom of the screen, same on every screen) */
+  get worldHeight() { return this.camera.referenceHeight; }
+
+  get isOver() { return this.player.isDead; }
+
+  /**
+   * Advance the simulation by one fixed step.
+   * @param {number} dt
+   * @param {{pressed: boolean, released: boolean, charge?: number}} input  Jump button edges
+   *   this step; charge (0..1) is an analog trigger's depth, which then sets the jump
+   *   charge instead of the time held (0 = not driven by a trigger)
+   * @returns {{landed: import('./platform.js').Platform|null, collected: import('./pickup.js').Pickup|null, died: boolean}} what happened this step
+   */
+  step(dt, { pressed = false, released = false, charge = 0 } = {}) {
+    const events = { landed: null, collected: null, died: false };
+    if (this.isOver) return events;
+
+    if (pressed)  this.player.startCharge();
+    if (charge > 0) this.player.holdCharge(charge);
+    if (released) this.player.releaseJump();
+
+    // Slow-mo slows the world, but the charge keeps filling in real time
+    const simDt = this.timers.slowMo > 0 ? dt * config.get("slowMoFactor") : dt;
+    this.player.chargeRate = (this.timers.doubleCharge > 0 ? 2 : 1) * dt / simDt;
+
+    // Platforms move first so a player standing on one is carried this step
+    this.platformManager.advance(simDt);
+    const touched = this.player.update(simDt, this.platformManager.platforms, this.worldHeight);
+    this.time += dt;
+    for (const key in this.timers) this.timers[key] = Math.max(0, this.timers[key] - dt);
+
+    this.camera.follow(this.player.worldX);
+    this.platformManager.update(this.camera);
+    events.landed    = this._checkScore(touched);
+    events.collected = this._collect();
+    events.died      = this.player.isDead;
+    return events;
+  }
+
+  /** Pick up whatever the player touches and apply its effect */
+  _collect() {
+    for (const pickup of this.platformManager.pickups) {
+      if (pickup.collected || !pickup.touches(this.player)) continue;
+      pickup.collected = true;
+
+      switch (pickup.kind) {
+        case "coin":
+          this.coins++;
+          this.score += config.get("coinValue");
+          break;
+        case "slowMo":       this.timers.slowMo       = config.get("slowMoSec");       break;
+        case "doubleCharge": this.timers.doubleCharge = config.get("doubleChargeSec"); break;
+        case "shield":       this.shield = true; break;
+      }
+      this._sounds?.play("point");
+      return pickup;
+    }
+    return null;
+  }
+
+  /**
+   * Player.onFall: spend the shield to put the player back on the last
+   * platform it landed on (or the nearest one still standing).
+   * @returns {boolean} true when the fall was saved
+   */
+  _useShield() {
+    if (!this.shield) return false;
+
+    const safe = (p) => p.isSolid && p.type !== "bouncy" && p.type !== "crumbling";
+    const { platforms } = this.platformManager;
+    let target = platforms.includes(this._lastLanded) && safe(this._lastLanded) ? this._lastLanded : null;
+    if (!target) {
+      const x = this.player.worldX;
+      target = platforms.filter(safe).sort((a, b) => Math.abs(a.left - x) - Math.abs(b.left - x))[0] ?? null;
+    }
+    if (!target) return false;
+
+    this.shield = false;
+    this.player.placeOn(target);
+    return true;
+  }
+
+  /**
+   * Score the first touchdown on each platform. Bouncy platforms relaunch
+   * the player on the same step, so this goes by touchdowns, not by
+   * "standing on".
+   * @param {import('./platform.js').Platform|null} platform  Touched this step
+   */
+  _checkScore(platform) {
+    if (platform && platform.type !== "bouncy") this._lastLanded = platform;
+    if (!platform || platform.landed) return null;
+    platform.landed = true;
+    this.score++;
+    return platform;
+  }
+}
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { HeadlessRunner } from "../src/headless.js";
+import { jumpDistance } from "../src/difficulty.js";
+
+/**
+ * Headless check
+ * Plays a few seeded courses with a bot that aims every jump at the middle
+ * of the next platform, and checks that:
+ *   - a seed always plays out the same (same landings, score and time)
+ *   - the viewport size doesn't change the course
+ *   - the bot gets past MIN_LANDINGS platforms: courses stay reachable
+ *
+ * Run from the repository root (the tree has no package.json, so Node needs
+ * to be told the .js files are ES modules):
+ *   node --experimental-default-type=module games/pec-fly/tools/headless_check.js
+ */
+
+const SEEDS        = [1, 1234, 987654321];
+const MIN_LANDINGS = 10;
+const MAX_TIME     = 60; // seconds of simulated play per course
+
+/**
+ * Charge 0..1 whose jump covers dx while landing dy lower (binary search,
+ * longer charges always fly further).
+ */
+function chargeFor(dx, dy) {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    const d   = jumpDistance(mid, dy);
+    if (d !== null && d > dx) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+/** Aim at the platform after the one the player stands on */
+function nextTarget(world) {
+  const from = world.player.standingOn;
+  return world.platformManager.platforms.find(p => p.baseX > from.baseX) ?? null;
+}
+
+function play(seed, viewport = {}) {
+  const runner = new HeadlessRunner({ seed, ...viewport });
+  const { world } = runner;
+
+  while (!world.isOver && world.time < MAX_TIME) {
+    const player = world.player;
+    const target = nextTarget(world);
+    if (!player.isOnGround || !target) {
+      runner.step();
+      continue;
+    }
+
+    const dx = target.baseX + target.width / 2 - (player.worldX + player.width / 2);
+    const t  = chargeFor(dx, target.baseY - player.bottom);
+    runner.press();
+    runner.step();
+    while (player.isCharging && player.chargePct < t) runner.step();
+    runner.release();
+    runner.step();
+    // Wait for the landing (or the fall)
+    while (!world.isOver && !player.isOnGround && world.time < MAX_TIME) runner.step();
+  }
+  return runner.result;
+}
+
+for (const seed of SEEDS) {
+  const result = play(seed);
+  assert.deepEqual(play(seed), result, `seed ${seed}: two runs differ`);
+  assert.deepEqual(play(seed, { width: 390, height: 844 }), result, `seed ${seed}: portrait viewport builds another course`);
+  assert.ok(result.landings.length >= MIN_LANDINGS,
+    `seed ${seed}: bot only landed ${result.landings.length} times (died at ${result.diedAt?.toFixed(2)}s)`);
+  console.log(`seed ${seed}: ${result.landings.length} landings, score ${result.score}, coins ${result.coins}, ${result.dead ? "dead" : "alive"} at ${result.time.toFixed(2)}s`);
+}
+console.log("headless check passed");
@@ -0,0 +1,216 @@
+import assert from "node:assert/strict";
+import { ConfigBase, orderedPair } from "../../../shared/config_base.js";
+import { ConfigPresets } from "../../../shared/config_presets.js";
+
+/**
+ * Logic check
+ * Exercises the browser-free modules behind the settings and the controls:
+ *   - ConfigBase: coercion, ranges, ordered pairs, batches, migrations, and
+ *     that inherited names ("constructor", "toString") are never settings
+ *   - ConfigPresets: save / load, local keys, preset links, JSON import
+ *   - InputHandler: actions over several codes, sources, rebinding, and the
+ *     bindings Pec-Fly builds from its "controls" settings
+ *
+ * Run from the repository root, like headless_check.js:
+ *   node --experimental-default-type=module games/pec-fly/tools/logic_check.js
+ */
+
+// Rejected values are part of what is checked: keep their warnings out of the output
+console.warn = () => {};
+
+// InputHandler listens on window; outside a browser nothing sends events, the
+// check drives it through triggerPress / triggerRelease / triggerTap
+globalThis.window ??= { addEventListener() {}, innerWidth: 800 };
+const { InputHandler, sourceOf } = await import("../../../shared/input_handler.js");
+const { config, bindings, BINDINGS } = await import("../src/config.js");
+
+function check(name, fn) {
+  fn();
+  console.log(`ok  ${name}`);
+}
+
+// --- ConfigBase --------------------------------------------------------------
+
+const SCHEMA = {
+  speed : { type: "number",  default: 1,   min: 0, max: 10 },
+  count : { type: "integer", default: 2,   min: 0, max: 5 },
+  low   : { type: "number",  default: 1 },
+  high  : { type: "number",  default: 3 },
+  on    : { type: "boolean", default: false },
+  mode  : { type: "enum",    default: "a", options: ["a", "b"] },
+  seed  : { type: "integer", default: null, nullable: true },
+  camera: { type: "string",  default: null, nullable: true, local: true },
+};
+
+function makeConfig() {
+  return new ConfigBase("logic_check_config", SCHEMA, {
+    version    : 2,
+    migrations : { 2: (v) => ({ ...v, speed: v.oldSpeed, oldSpeed: undefined }) },
+    constraints: [orderedPair("low", "high", 1)],
+  });
+}
+
+check("config coerces and clamps values", () => {
+  const cfg = makeConfig();
+  assert.equal(cfg.set("speed", "2.5"), true);
+  assert.equal(cfg.get("speed"), 2.5);
+  cfg.set("speed", 99);
+  assert.equal(cfg.get("speed"), 10);
+  cfg.set("count", 2.6);
+  assert.equal(cfg.get("count"), 3);
+  cfg.set("on", "true");
+  assert.equal(cfg.get("on"), true);
+  assert.equal(cfg.set("seed", null), true);
+  assert.equal(cfg.set("speed", "fast"), false);
+  assert.equal(cfg.get("speed"), 10);
+  assert.equal(cfg.set("mode", "c"), false);
+});
+
+check("config ignores inherited names", () => {
+  const cfg = makeConfig();
+  assert.equal(cfg.spec("constructor"), undefined);
+  assert.equal(cfg.set("constructor", 1), false);
+  assert.equal(cfg.set("mode", "toString"), false);
+  assert.equal(Object.hasOwn(cfg.restore({ toString: 1, constructor: 2 }), "constructor"), false);
+});
+
+check("config keeps ordered pairs apart", () => {
+  const cfg = makeConfig();
+  cfg.set("low", 5);
+  assert.deepEqual([cfg.get("low"), cfg.get("high")], [5, 6]);
+  cfg.set("high", 2);
+  assert.deepEqual([cfg.get("low"), cfg.get("high")], [1, 2]);
+});
+
+check("config batches are all or nothing", () => {
+  const cfg = makeConfig();
+  assert.equal(cfg.setBatch({ speed: 4, mode: "nope" }), false);
+  assert.equal(cfg.get("speed"), 1);
+  assert.equal(cfg.setBatch({ speed: 4, mode: "b" }), true);
+  assert.deepEqual([cfg.get("speed"), cfg.get("mode")], [4, "b"]);
+});
+
+check("config migrates old saved data", () => {
+  const cfg = makeConfig();
+  const values = cfg.restore({ version: 1, values: { oldSpeed: 7, count: "x", gone: 1 } });
+  assert.equal(values.speed, 7);
+  assert.equal(values.count, 2);
+  assert.equal("gone" in values, false);
+});
+
+// --- ConfigPresets -----------------------------------------------------------
+
+check("presets save and load without local keys", () => {
+  const cfg     = makeConfig();
+  const presets = new ConfigPresets(cfg);
+  cfg.setBatch({ speed: 6, camera: "front" });
+  assert.equal(presets.save("  Fast  "), true);
+  assert.deepEqual(presets.names(), ["Fast"]);
+  cfg.setBatch({ speed: 2, camera: "back" });
+  assert.equal(presets.load("Fast"), true);
+  assert.deepEqual([cfg.get("speed"), cfg.get("camera")], [6, "back"]);
+});
+
+check("presets accept any name", () => {
+  const presets = new ConfigPresets(makeConfig());
+  assert.equal(presets.has("toString"), false);
+  presets.save("__proto__");
+  assert.equal(presets.has("__proto__"), true);
+  assert.deepEqual(presets.names(), ["__proto__"]);
+});
+
+check("preset links apply only the keys they carry", () => {
+  const source = makeConfig();
+  const shared = new ConfigPresets(source);
+  source.setBatch({ speed: 8, mode: "b" });
+  shared.save("Station");
+  const query = shared.toQuery("Station");
+
+  const cfg     = makeConfig();
+  const presets = new ConfigPresets(cfg);
+  cfg.setBatch({ count: 4, camera: "front" });
+  assert.equal(presets.applyQuery("?" + query + "&cfg.constructor=1&cfg.camera=x"), true);
+  assert.deepEqual([cfg.get("speed"), cfg.get("mode"), cfg.get("count"), cfg.get("camera")], [8, "b", 4, "front"]);
+  assert.equal(presets.has("Station"), true);
+  assert.equal(ConfigPresets.stripQuery("?seed=3&" + query), "?seed=3");
+});
+
+check("preset links never overwrite a local preset unasked", () => {
+  const cfg     = makeConfig();
+  const presets = new ConfigPresets(cfg);
+  cfg.set("speed", 3);
+  presets.save("Mine");
+  presets.applyQuery("?preset=Mine&cfg.speed=9");
+  assert.equal(cfg.get("speed"), 9);
+  cfg.set("speed", 0);
+  presets.load("Mine");
+  assert.equal(cfg.get("speed"), 3);
+  presets.applyQuery("?preset=Mine&cfg.speed=9", { confirmOverwrite: () => true });
+  cfg.set("speed", 0);
+  presets.load("Mine");
+  assert.equal(cfg.get("speed"), 9);
+});
+
+check("preset import validates the file", () => {
+  const presets = new ConfigPresets(makeConfig());
+  assert.throws(() => presets.importJSON("{"));
+  assert.throws(() => presets.importJSON(JSON.stringify({ name: "x" })));
+  const name = presets.importJSON(JSON.stringify({ version: 1, values: { oldSpeed: 5, mode: "zzz" } }), "File");
+  assert.equal(name, "File");
+  const cfg = makeConfig();
+  const again = new ConfigPresets(cfg);
+  again.importJSON(presets.toJSON("File"));
+  again.load("File");
+  assert.deepEqual([cfg.get("speed"), cfg.get("mode")], [5, "a"]);
+});
+
+// --- InputHandler ------------------------------------------------------------
+
+check("actions follow the first press and the last release", () => {
+  const input = new InputHandler({ jump: ["Space", "GamepadA"] });
+  input.triggerPress("Space");
+  assert.equal(input.isActionJustPressed("jump"), true);
+  input.flush();
+  input.triggerPress("GamepadA");
+  assert.equal(input.isActionJustPressed("jump"), false);
+  assert.deepEqual(input.actionSource("jump"), { code: "GamepadA", source: "gamepad" });
+  input.flush();
+  input.triggerRelease("Space");
+  assert.equal(input.isActionJustReleased("jump"), false);
+  input.flush();
+  input.triggerRelease("GamepadA");
+  assert.equal(input.isActionJustReleased("jump"), true);
+  assert.equal(input.isActionHeld("jump"), false);
+});
+
+check("gestures and taps are edge-only", () => {
+  const input = new InputHandler({ confirm: ["PoseHandsUp", "Tap"] });
+  input.triggerGesture("handsUp");
+  assert.equal(input.isActionJustPressed("confirm"), true);
+  assert.equal(input.isActionHeld("confirm"), false);
+  assert.equal(sourceOf("PoseHandsUp"), "pose");
+  assert.equal(sourceOf("TouchLeft"), "touch");
+  assert.equal(sourceOf("KeyM"), "keyboard");
+});
+
+check("rebinding replaces an action's codes", () => {
+  const input = new InputHandler({ jump: ["Space"] });
+  input.bind("jump", ["GamepadButton3"]);
+  input.triggerPress("Space");
+  assert.equal(input.isActionJustPressed("jump"), false);
+  input.triggerPress("GamepadButton3");
+  assert.equal(input.isActionJustPressed("jump"), true);
+  input.setBindings({ pause: ["Escape"] });
+  assert.deepEqual(input.bindings, { pause: ["Escape"] });
+});
+
+check("Pec-Fly bindings follow the controls settings", () => {
+  assert.deepEqual(bindings(), BINDINGS);
+  config.set("bindJump", "Space, GamepadButton3  KeyJ");
+  assert.deepEqual(bindings().jump, ["Space", "GamepadButton3", "KeyJ"]);
+  assert.deepEqual(bindings().pause, BINDINGS.pause);
+  config.set("bindJump", null);
+  assert.deepEqual(bindings().jump, BINDINGS.jump);
+});
+
+console.log("logic check passed");
@@ -0,0 +1,26 @@
+/**
+ * Game registry
+ * Every game under games/ that the launcher (root index.html) offers.
+ * Paths are relative to the repository root.
+ *
+ *   id         Stable id, also the game's ProfileStore scope
+ *   name       Card title
+ *   description One line under the title, per language ({ es, en }, see shared/i18n.js)
+ *   thumbnail  Card image
+ *   exercises  Exercise ids from shared/exercises.js the game can be played with;
+ *              the first one is the default. Passed to the game as ?mode=<id>
+ *   entry      Page that boots the game
+ */
+export const GAMES = [
+  {
+    id         : "pec-fly",
+    name       : "Pec-Fly Jump",
+    description: {
+      es: "Salta de plataforma en plataforma cargando cada salto con tu ejercicio.",
+      en: "Jump from platform to platform, charging every jump with your exercise.",
+    },
+    thumbnail  : "games/pec-fly/assets/thumbnail.svg",
+    exercises  : ["pecFly", "squat"],
+    entry      : "games/pec-fly/pec_fly.html",
+  },
+];
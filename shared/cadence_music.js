@@ -0,0 +1,114 @@
+/**
+ * CadenceMusic
+ * Synthesized backing loop whose tempo follows a target rep cadence: one bar
+ * per rep, the accented downbeat marks when the next rep should start. Notes
+ * come from SoundManager.beep() on the music channel, so music volume and
+ * mute apply, and nothing sounds until audio is unlocked.
+ *
+ * Notes are scheduled slightly ahead on the AudioContext clock (not on
+ * timers), so the beat stays steady when the main thread is busy with pose
+ * detection.
+ *
+ * Usage:
+ *   const music = new CadenceMusic(sounds);
+ *   music.start(20);        // 20 reps per minute = 80 BPM with 4 beats per rep
+ *   music.setCadence(24);   // takes effect on the next step
+ *   music.stop();
+ */
+
+/** How often the scheduler wakes up (ms) and how far ahead it schedules (s) */
+const SCHEDULE_MS = 25;
+const LOOKAHEAD   = 0.1;
+
+/** Eighth notes per beat */
+const STEPS_PER_BEAT = 2;
+
+/** Bass root per bar (A2, A2, F2, G2), cycling */
+const BASS_ROOTS = [110, 110, 87.31, 98];
+
+export class CadenceMusic {
+  /**
+   * @param {import('./sound_manager.js').SoundManager} sounds
+   * @param {object} [opts]
+   * @param {number} [opts.beatsPerRep=4]  Beats in one bar (= one rep)
+   */
+  constructor(sounds, { beatsPerRep = 4 } = {}) {
+    this._sounds      = sounds;
+    this._beatsPerRep = beatsPerRep;
+    this._cadence     = 20;
+    this._timer       = null;
+    this._step        = 0;    // eighth note within the loop
+    this._bar         = 0;
+    this._nextTime    = 0;    // AudioContext time of the next step
+  }
+
+  get playing() { return this._timer !== null; }
+
+  /** Beats per minute for the current cadence */
+  get bpm() { return this._cadence * this._beatsPerRep; }
+
+  /**
+   * Start from the downbeat (restarts if already playing).
+   * @param {number} repsPerMinute
+   */
+  start(repsPerMinute) {
+    this.stop();
+    if (!this._sounds.ctx) return;
+    this.setCadence(repsPerMinute);
+    this._step     = 0;
+    this._bar      = 0;
+    this._nextTime = 0;
+    this._timer    = setInterval(() => this._schedule(), SCHEDULE_MS);
+  }
+
+  /** @param {number} repsPerMinute */
+  setCadence(repsPerMinute) {
+    if (repsPerMinute > 0) this._cadence = repsPerMinute;
+  }
+
+  stop() {
+    if (this._timer === null) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  _schedule() {
+    const sounds = this._sounds;
+    // Locked audio: hold the loop at the downbeat until it can be heard
+    if (!sounds.unlocked) {
+      this._nextTime = 0;
+      return;
+    }
+    const now = sounds.ctx.currentTime;
+    if (this._nextTime < now) this._nextTime = now + 0.05;
+
+    const stepSec = 60 / this.bpm / STEPS_PER_BEAT;
+    while (this._nextTime < now + LOOKAHEAD) {
+      this._playStep(this._nextTime, stepSec);
+      this._nextTime += stepSec;
+      this._step++;
+      if (this._step >= this._beatsPerRep * STEPS_PER_BEAT) {
+        this._step = 0;
+        this._bar++;
+      }
+    }
+  }
+
+  _playStep(when, stepSec) {
+    const sounds = this._sounds;
+    const music  = { channel: "music", when };
+    const beat   = this._step / STEPS_PER_BEAT;
+    const root   = BASS_ROOTS[this._bar % BASS_ROOTS.length];
+
+    if (this._step % STEPS_PER_BEAT === 0) {
+      // Kick on every beat, louder on the downbeat (start of the rep)
+      const accent = beat === 0;
+      sounds.beep(150, { ...music, type: "sine", duration: 0.18, slideTo: 45, volume: accent ? 0.9 : 0.5 });
+      sounds.beep(root * (beat % 2 ? 1.5 : 1), { ...music, type: "triangle", duration: stepSec * 1.6, volume: 0.35 });
+      if (accent) sounds.beep(root * 4, { ...music, type: "triangle", duration: stepSec * 3, volume: 0.15 });
+    } else {
+      // Off-beat hi-hat
+      sounds.beep(7000, { ...music, type: "square", duration: 0.03, volume: 0.04 });
+    }
+  }
+}
@@ -0,0 +1,238 @@
+import { t } from "./i18n.js";
+
+/**
+ * CalibrationWizard
+ * Guided "hold this pose" flow shown as a DOM overlay.
+ * For each step the player gets a short countdown to get into position, then
+ * the wizard samples a metric for a few seconds while they hold still.
+ * What the samples mean (and which thresholds come out of them) is up to
+ * the game — see onComplete.
+ *
+ * Usage:
+ *   const wizard = new CalibrationWizard({
+ *     steps : [{ id: "open", title: "Brazos abiertos", hint: "..." }, ...],
+ *     sample: () => cameraInput.ratio,
+ *     onComplete: (samples) => {   // { open: number[], closed: number[] }
+ *       return "Umbral: 1.2";      // text shown on the result screen, or throw to show an error
+ *     },
+ *   });
+ *   wizard.start();
+ */
+export class CalibrationWizard {
+  /**
+   * @param {object}   opts
+   * @param {Array<{id:string, title:string, hint:string}>} opts.steps
+   * @param {function(): (number|null)} opts.sample   Current metric value (null = not detected)
+   * @param {function(Object<string, number[]>): string} opts.onComplete
+   * @param {function(): void} [opts.onStart]    Called when the wizard opens
+   * @param {function(): void} [opts.onClose]    Called when the wizard closes (finished or cancelled)
+   * @param {number}   [opts.prepareSec=3]       Countdown before sampling each step
+   * @param {number}   [opts.holdSec=3]          Sampling time per step
+   * @param {number}   [opts.minSamples=10]      Minimum valid samples per step
+   */
+  constructor({ steps, sample, onComplete, onStart, onClose, prepareSec = 3, holdSec = 3, minSamples = 10 }) {
+    this.steps      = steps;
+    this.sample     = sample;
+    this.onComplete = onComplete;
+    this.onStart    = onStart || (() => {});
+    this.onClose    = onClose || (() => {});
+    this.prepareSec = prepareSec;
+    this.holdSec    = holdSec;
+    this.minSamples = minSamples;
+
+    this._running = false;
+    this._root    = null;
+  }
+
+  get isRunning() { return this._running; }
+
+  // --- Flow ------------------------------------------------------------------
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this._samples = {};
+    this._stepIdx = 0;
+    this._injectStyles();
+    this._buildDOM();
+    this.onStart();
+    this._beginStep();
+  }
+
+  cancel() {
+    this._close();
+  }
+
+  _beginStep() {
+    const step = this.steps[this._stepIdx];
+    this._samples[step.id] = [];
+    this._phase      = "prepare";
+    this._phaseStart = performance.now();
+    this._render(step);
+    this._tick();
+  }
+
+  _tick() {
+    if (!this._running) return;
+
+    const step    = this.steps[this._stepIdx];
+    const elapsed = (performance.now() - this._phaseStart) / 1000;
+
+    if (this._phase === "prepare" && elapsed >= this.prepareSec) {
+      this._phase      = "hold";
+      this._phaseStart = performance.now();
+    } else if (this._phase === "hold") {
+      const value = this.sample();
+      if (value !== null && Number.isFinite(value)) this._samples[step.id].push(value);
+
+      if (elapsed >= this.holdSec) {
+        if (this._samples[step.id].length < this.minSamples) {
+          this._showError(t("calibration.noPose"));
+          return;
+        }
+        this._stepIdx++;
+        if (this._stepIdx < this.steps.length) {
+          this._beginStep();
+        } else {
+          this._finish();
+        }
+        return;
+      }
+    }
+
+    this._render(step);
+    requestAnimationFrame(() => this._tick());
+  }
+
+  _finish() {
+    try {
+      const message = this.onComplete(this._samples);
+      this._showResult(message);
+    } catch (err) {
+      this._showError(err.message);
+    }
+  }
+
+  _close() {
+    if (!this._running) return;
+    this._running = false;
+    this._root?.remove();
+    this._root = null;
+    this.onClose();
+  }
+
+  _restart() {
+    this._close();
+    this.start();
+  }
+
+  // --- DOM -------------------------------------------------------------------
+
+  _injectStyles() {
+    if (document.getElementById("calibration-wizard-styles")) return;
+    const style = document.createElement("style");
+    style.id = "calibration-wizard-styles";
+    style.textContent = `
+      #calibration-wizard {
+        position: fixed;
+        inset: 0;
+        z-index: 1100;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,0.6);
+        font: 14px monospace;
+        color: #eee;
+      }
+      .cw-box {
+        width: min(420px, 90vw);
+        background: rgba(15,15,15,0.95);
+        border: 1px solid #333;
+        border-radius: 12px;
+        padding: 20px;
+        text-align: center;
+      }
+      .cw-step  { color: #aaa; margin-bottom: 6px; }
+      .cw-title { color: #5cf; font-size: 20px; font-weight: bold; margin-bottom: 8px; }
+      .cw-hint  { margin-bottom: 16px; }
+      .cw-count { color: #fa0; font-size: 40px; font-weight: bold; margin-bottom: 12px; }
+      .cw-bar   { height: 8px; background: #333; border-radius: 4px; overflow: hidden; margin-bottom: 16px; }
+      .cw-fill  { height: 100%; width: 0; background: #5cf; }
+      .cw-error { color: #f44; }
+      .cw-actions { display: flex; gap: 8px; justify-content: center; }
+      .cw-actions button {
+        padding: 8px 14px;
+        background: #222;
+        color: #eee;
+        border: 1px solid #555;
+        border-radius: 6px;
+        font: bold 13px monospace;
+        cursor: pointer;
+      }
+      .cw-actions button:hover { background: #333; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _buildDOM() {
+    this._root = document.createElement("div");
+    this._root.id = "calibration-wizard";
+    this._root.innerHTML = `
+      <div class="cw-box">
+        <div class="cw-step"></div>
+        <div class="cw-title"></div>
+        <div class="cw-hint"></div>
+        <div class="cw-count"></div>
+        <div class="cw-bar"><div class="cw-fill"></div></div>
+        <div class="cw-actions">
+          <button data-action="cancel">${t("calibration.cancel")}</button>
+        </div>
+      </div>
+    `;
+    this._root.addEventListener("click", (e) => {
+      const action = e.target.dataset?.action;
+      if (action === "cancel" || action === "close") this._close();
+      if (action === "retry") this._restart();
+    });
+    document.body.appendChild(this._root);
+  }
+
+  _render(step) {
+    const $       = (sel) => this._root.querySelector(sel);
+    const elapsed = (performance.now() - this._phaseStart) / 1000;
+
+    $(".cw-step").textContent  = t("calibration.step", { n: this._stepIdx + 1, total: this.steps.length });
+    $(".cw-title").textContent = step.title;
+    $(".cw-hint").textContent  = step.hint;
+
+    if (this._phase === "prepare") {
+      $(".cw-count").textContent = Math.ceil(this.prepareSec - elapsed);
+      $(".cw-fill").style.width  = "0%";
+    } else {
+      $(".cw-count").textContent = t("calibration.hold");
+      $(".cw-fill").style.width  = Math.min(100, (elapsed / this.holdSec) * 100) + "%";
+    }
+  }
+
+  _showResult(message) {
+    this._showFinal(t("calibration.done"), message, false);
+  }
+
+  _showError(message) {
+    this._showFinal(t("calibration.failed"), message, true);
+  }
+
+  _showFinal(title, message, isError) {
+    const $ = (sel) => this._root.querySelector(sel);
+    $(".cw-step").textContent  = "";
+    $(".cw-title").textContent = title;
+    $(".cw-hint").textContent  = message;
+    $(".cw-hint").classList.toggle("cw-error", isError);
+    $(".cw-count").textContent = "";
+    $(".cw-bar").style.display = "none";
+    $(".cw-actions").innerHTML = `
+      <button data-action="retry">${t("calibration.retry")}</button>
+      <button data-action="close">${t("calibration.close")}</button>
+    `;
+  }
+}
@@ -1,140 +1,248 @@
+import { LandmarkFilter } from "./landmark_filter.js";
+import { PoseRecorder } from "./pose_recording.js";
+import { MediaPipePoseProvider } from "./mediapipe_pose_provider.js";
+import { ScriptedPoseProvider } from "./scripted_pose_provider.js";
+
 /**
  * CameraBase
  * Handles everything common to all camerabased inputs:
- *    MediaPipe Pose initialization
- *    Camera stream management (start, stop, switch device)
+ *    Pose provider lifecycle (MediaPipe webcam by default, see pose_provider.js)
+ *    Landmark smoothing and visibility gating
+ *    Presence (hasPose) and the "hands up" menu gesture
+ *    Recording the landmark stream and replaying it without a webcam
  *    Drawing the skeleton overlay
  *
  * Games extend this and implement _onPoseResults(results) for their
- * specific landmark logic (ratio, hip position, etc).
+ * specific landmark logic (ratio, hip position, etc), or use
+ * ExerciseCameraInput with a declarative exercise definition instead.
  *
  * Usage:
  *   import { CameraBase } from "../../shared/CameraBase.js";
  *   export class MyGameCameraInput extends CameraBase {
- *     constructor(videoEl, overlayEl, inputHandler, config) {
- *       super(videoEl, overlayEl, config);
+ *     constructor(videoEl, overlayEl, inputHandler, config, opts) {
+ *       super(videoEl, overlayEl, config, opts);
  *     }
  *     _onPoseResults(results) {
  *       // gamespecific landmark logic here
  *     }
  *   }
+ *
+ * videoEl and overlayEl may be null when a non-camera provider is passed
+ * (headless runs): nothing is drawn then.
  */
+
+// Config keys that rebuild the landmark filter
+const FILTER_KEYS = ["landmarkFilter", "filterAlpha", "filterMinCutoff", "filterBeta"];
+
 export class CameraBase {
   /**
-   * @param {HTMLVideoElement}  videoEl
-   * @param {HTMLCanvasElement} overlayEl
+   * @param {HTMLVideoElement|null}  videoEl
+   * @param {HTMLCanvasElement|null} overlayEl
    * @param {import('./ConfigBase.js').ConfigBase} config
+   * @param {object} [opts]
+   * @param {import('./pose_provider.js').PoseProvider} [opts.provider]  Defaults to MediaPipe on videoEl
    */
-  constructor(videoEl, overlayEl, config) {
+  constructor(videoEl, overlayEl, config, { provider = null } = {}) {
     this.video   = videoEl;
     this.overlay = overlayEl;
-    this.ctx     = overlayEl.getContext("2d");
+    this.ctx     = overlayEl ? overlayEl.getContext("2d") : null;
     this.config  = config;
 
-    this._ready  = false;
-    this._stream = null;
+    this._recorder = null; // PoseRecorder while recording
+    this._replay   = null; // ScriptedPoseProvider while playing a recording
 
-    this._initMediaPipe();
+    this._hasPose          = false;
+    this._poseLostAt       = performance.now();
+    this._gestureListeners = [];
+    this._handsUpSince     = null;
+    this._handsUpFired     = false;
+
+    this._createFilter();
+
+    this._liveProvider = provider || new MediaPipePoseProvider(videoEl, this._providerOptions());
+    this._setProvider(this._liveProvider);
+    if (this.video) this.video.style.opacity = config.get("cameraOpacity");
 
     // React to config changes that affect camera
     config.onChange((key) => {
       if (key === "cameraDeviceId" || key === "modelComplexity" || key === null) {
-        this._restartCamera();
+        this._liveProvider.setOptions(this._providerOptions())
+          .catch(e => console.warn("CameraBase: could not update pose provider options", e));
       }
-      if (key === "cameraOpacity" || key === null) {
+      if ((key === "cameraOpacity" || key === null) && this.video) {
         this.video.style.opacity = config.get("cameraOpacity");
       }
+      if (FILTER_KEYS.includes(key) || key === null) {
+        this._createFilter();
+      }
     });
   }
 
   // Setup 
 
-  async _initMediaPipe() {
-    const { Pose, POSE_CONNECTIONS } = window;
-    this._poseConnections = POSE_CONNECTIONS;
-
-    this._pose = new Pose({
-      locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`
+  _createFilter() {
+    this._filter = new LandmarkFilter({
+      mode     : this.config.get("landmarkFilter")  ?? "none",
+      alpha    : this.config.get("filterAlpha")     ?? 0.5,
+      minCutoff: this.config.get("filterMinCutoff") ?? 1.0,
+      beta     : this.config.get("filterBeta")      ?? 5,
     });
+  }
 
-    this._pose.setOptions({
-      modelComplexity       : this.config.get("modelComplexity"),
-      smoothLandmarks       : false,
-      enableSegmentation    : false,
-      minDetectionConfidence: 0.6,
-      minTrackingConfidence : 0.6,
-    });
+  _providerOptions() {
+    return {
+      deviceId       : this.config.get("cameraDeviceId"),
+      modelComplexity: this.config.get("modelComplexity"),
+    };
+  }
 
-    this._pose.onResults((results) => this._handleResults(results));
-    await this._startCamera();
+  /** Switch the active results source, stopping the previous one */
+  _setProvider(provider) {
+    if (this.provider) {
+      this.provider.stop();
+      this._unsubscribe();
+    }
+    this.provider     = provider;
+    this._unsubscribe = provider.onResults((results, t) => this._handleResults(results, t));
+    this._filter.reset();
+    this._updatePresence(false);
+    provider.start().catch(e => console.warn("CameraBase: could not start pose provider", e));
   }
 
-  async _startCamera() {
-    try {
-      if (this._stream) {
-        this._stream.getTracks().forEach(t => t.stop());
-        this._stream = null;
-      }
+  // Results 
 
-      const deviceId = this.config.get("cameraDeviceId");
-      const videoConstraints = deviceId
-        ? { deviceId: { exact: deviceId } }
-        : { facingMode: "user" };
+  /**
+   * @param {{poseLandmarks?: Array}} results  Normalized provider results
+   * @param {number} t  Frame timestamp in ms
+   */
+  _handleResults(results, t = performance.now()) {
+    if (this._recorder && !this._replay) this._recorder.addFrame(results.poseLandmarks, t);
+
+    if (results.poseLandmarks) {
+      // Smoothed copy, the raw MediaPipe array is left untouched
+      results = { ...results, poseLandmarks: this._filter.apply(results.poseLandmarks, t) };
+    } else {
+      this._filter.reset();
+    }
 
-      this._stream = await navigator.mediaDevices.getUserMedia({
-        video: videoConstraints,
-        audio: false,
-      });
+    this._updatePresence(!!results.poseLandmarks);
+    this._detectGestures(results.poseLandmarks, t);
+
+    this._drawSkeleton(results);
+    // Delegate gamespecific logic to subclass
+    if (results.poseLandmarks) this._onPoseResults(results, t);
+  }
 
-      this.video.srcObject = this._stream;
-      this.video.style.opacity = this.config.get("cameraOpacity");
-      this.video.play();
+  /**
+   * Override in subclass to handle landmarks.
+   * Only called when poseLandmarks is present. Landmarks are already
+   * smoothed; use _isVisible() before trusting a specific point.
+   * @param {{poseLandmarks: Array}} results  Normalized provider results
+   * @param {number} t  Frame timestamp in ms
+   */
+  _onPoseResults(results, t) {}
 
-      this.video.addEventListener("loadeddata", () => {
-        this._ready = true;
-        this._processLoop();
-      }, { once: true });
+  /**
+   * Override in subclass to release anything latched while the person was
+   * visible (e.g. a held key). Called once when the pose disappears.
+   */
+  _onPoseLost() {}
 
-    } catch (err) {
-      console.error("CameraBase: stream error:", err);
+  _updatePresence(present) {
+    if (present === this._hasPose) return;
+    this._hasPose = present;
+    if (!present) {
+      this._poseLostAt = performance.now();
+      this._onPoseLost();
     }
   }
 
-  async _restartCamera() {
-    this._ready = false;
-    await this._pose.setOptions({
-      modelComplexity: this.config.get("modelComplexity"),
-    });
-    await this._startCamera();
+  // Gestures
+
+  /**
+   * Subscribe to pose gestures. Currently:
+   *   "handsUp"  both wrists above the nose for gestureHoldSec (fires once per hold)
+   * @param {function(name: string): void} fn
+   * @returns {function} unsubscribe function
+   */
+  onGesture(fn) {
+    this._gestureListeners.push(fn);
+    return () => {
+      this._gestureListeners = this._gestureListeners.filter(l => l !== fn);
+    };
   }
 
-  // Frame loop 
+  _detectGestures(lm, t) {
+    const handsUp = !!lm &&
+      this._isVisible(lm, 0, 15, 16) &&
+      lm[15].y < lm[0].y && lm[16].y < lm[0].y;
 
-  async _processLoop() {
-    if (!this._ready) return;
-    await this._pose.send({ image: this.video });
-    requestAnimationFrame(() => this._processLoop());
+    if (!handsUp) {
+      this._handsUpSince = null;
+      this._handsUpFired = false;
+      return;
+    }
+
+    if (this._handsUpSince === null) this._handsUpSince = t;
+    const holdMs = (this.config.get("gestureHoldSec") ?? 1) * 1000;
+    if (!this._handsUpFired && t - this._handsUpSince >= holdMs) {
+      this._handsUpFired = true;
+      for (const fn of this._gestureListeners) fn("handsUp");
+    }
   }
 
-  // Results 
+  // Recording & replay
 
-  _handleResults(results) {
-    this._drawSkeleton(results);
-    // Delegate gamespecific logic to subclass
-    if (results.poseLandmarks) this._onPoseResults(results);
+  /** Start capturing raw landmark frames from the live camera */
+  startRecording() {
+    this._recorder = new PoseRecorder();
   }
 
   /**
-   * Override in subclass to handle landmarks.
-   * Only called when poseLandmarks is present.
-   * @param {object} results  MediaPipe Pose results
+   * Stop capturing.
+   * @returns {PoseRecorder|null} the finished recording
+   */
+  stopRecording() {
+    const rec = this._recorder;
+    this._recorder = null;
+    return rec;
+  }
+
+  get isRecording() { return this._recorder !== null; }
+
+  /**
+   * Feed a recording through _handleResults instead of the webcam,
+   * respecting the original frame timing.
+   * @param {{frames: Array<{t:number, landmarks:Array|null}>}} recording  Parsed recording
+   * @param {boolean} loop  Start over when the last frame is reached
+   * @param {function(): void} [onEnd]  Called once a non-looping replay has
+   *   ended by itself and the live camera is back (not on stopReplay())
    */
-  _onPoseResults(results) {}
+  playRecording(recording, loop = true, onEnd = null) {
+    this._replay = ScriptedPoseProvider.fromRecording(recording, {
+      loop,
+      onEnd: () => {
+        this.stopReplay();
+        onEnd?.();
+      },
+    });
+    this._setProvider(this._replay);
+  }
+
+  /** Stop the replay and go back to the live provider */
+  stopReplay() {
+    if (!this._replay) return;
+    this._replay = null;
+    this._setProvider(this._liveProvider);
+  }
+
+  get isReplaying() { return this._replay !== null; }
 
   // Drawing 
 
   _drawSkeleton(results) {
     const { overlay, ctx } = this;
+    if (!ctx) return;
     overlay.width  = this.video.videoWidth  || overlay.clientWidth;
     overlay.height = this.video.videoHeight || overlay.clientHeight;
     ctx.clearRect(0, 0, overlay.width, overlay.height);
@@ -145,13 +253,13 @@ export class CameraBase {
     const w  = overlay.width;
     const h  = overlay.height;
 
-    // Full skeleton (dimmed)
+    // Full skeleton (dimmed), low-confidence bones skipped
     ctx.strokeStyle = "rgba(0,255,0,0.4)";
     ctx.lineWidth   = 1.5;
-    for (const [a, b] of this._poseConnections) {
+    for (const [a, b] of this.provider.connections) {
       const pa = lm[a];
       const pb = lm[b];
-      if (!pa || !pb) continue;
+      if (!pa || !pb || !this._isVisible(lm, a, b)) continue;
       ctx.beginPath();
       ctx.moveTo(pa.x * w, pa.y * h);
       ctx.lineTo(pb.x * w, pb.y * h);
@@ -165,6 +273,7 @@ export class CameraBase {
    * @param {Array<{point, label, color}>} keyPoints
    */
   _drawKeyPoints(keyPoints) {
+    if (!this.ctx) return;
     const w = this.overlay.width;
     const h = this.overlay.height;
 
@@ -183,11 +292,29 @@ export class CameraBase {
 
   //  Helpers 
 
+  /**
+   * True when every given landmark is at or above the minVisibility threshold.
+   * @param {Array<{visibility?: number}>} lm
+   * @param {...number} indices
+   */
+  _isVisible(lm, ...indices) {
+    const min = this.config.get("minVisibility") ?? 0;
+    return indices.every(i => lm[i] && (lm[i].visibility ?? 1) >= min);
+  }
+
   _dist(a, b) {
     const dx = a.x - b.x;
     const dy = a.y - b.y;
     return Math.sqrt(dx * dx + dy * dy);
   }
 
-  get isReady() { return this._ready; }
+  get isReady() { return this.provider.isReady; }
+
+  /** True when the last frame contained a person */
+  get hasPose() { return this._hasPose; }
+
+  /** Seconds since the person left the frame (0 while present) */
+  get absentSeconds() {
+    return this._hasPose ? 0 : (performance.now() - this._poseLostAt) / 1000;
+  }
 }
\ No newline at end of file
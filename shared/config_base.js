@@ -1,52 +1,190 @@
 /**
  * ConfigBase
- * Reusable config mechanism: localStorage persistence, onChange subscriptions.
- * Each game extends this with its own DEFAULTS and STORAGE_KEY.
+ * Reusable config mechanism: localStorage persistence, onChange subscriptions,
+ * a typed schema with validation, and versioned migrations of saved data.
+ * Each game extends this with its own SCHEMA and storage key.
  *
  * Usage:
- *   import { ConfigBase } from "../../shared/ConfigBase.js";
- *   const DEFAULTS = { gravity: 1400, ... };
+ *   import { ConfigBase, orderedPair } from "../../shared/config_base.js";
+ *   const SCHEMA = {
+ *     gravity : { type: "number", default: 1400, min: 400, max: 3000, step: 50, label: "Gravedad" },
+ *     minVx   : { type: "number", default: 260,  min: 50,  max: 500,  step: 10 },
+ *     maxVx   : { type: "number", default: 700,  min: 200, max: 1200, step: 10 },
+ *     mode    : { type: "enum",   default: "a",  options: { a: "Modo A", b: "Modo B" } },
+ *     seed    : { type: "integer", default: null, nullable: true },
+ *   };
  *   class GameConfig extends ConfigBase {
- *     constructor() { super("my_game_config", DEFAULTS); }
+ *     constructor() {
+ *       super("my_game_config", SCHEMA, {
+ *         version    : 2,
+ *         migrations : { 2: (v) => ({ ...v, maxVx: v.maxSpeed, maxSpeed: undefined }) },
+ *         constraints: [orderedPair("minVx", "maxVx")],
+ *       });
+ *     }
  *   }
  *   export const config = new GameConfig();
+ *
+ * Field spec:
+ *   type      "number" | "integer" | "boolean" | "string" | "enum"
+ *   default   Value used on first run, on reset and when a saved value is invalid
+ *   min, max  Numbers are clamped into this range
+ *   step      Slider step (UI only)
+ *   options   { value: label } or [value, ...]; required for enum, optional for other types
+ *   nullable  null is a valid value
+ *   label     Human readable name (UI only)
+ *   local     Belongs to this device (e.g. a camera id): left out of presets
+ * ConfigPanel reads a few more UI fields (section, control, format, rebuild),
+ * see shared/config_panel.js; section() tags a group of keys at once.
+ * A plain value instead of a spec is shorthand for { type: typeof value, default: value }.
+ *
+ * Numeric strings (e.g. slider values) are converted; anything that can't be
+ * converted is rejected with a warning and the previous value is kept.
+ * Saved data is stored as { version, values }; older versions go through
+ * migrations[n] (n = the version it produces) one step at a time.
  */
 export class ConfigBase {
   /**
    * @param {string} storageKey   localStorage key for this game
-   * @param {object} defaults     Default values
+   * @param {object} schema       Field specs (or plain default values) by key
+   * @param {object} [opts]
+   * @param {number} [opts.version=0]        Current version of the saved format
+   * @param {Object<number, function(object): object>} [opts.migrations]  Upgrades saved values to version n
+   * @param {Array<object>} [opts.constraints]  Cross-field rules, see orderedPair()
    */
-  constructor(storageKey, defaults) {
-    this._storageKey = storageKey;
-    this._defaults   = { ...defaults };
-    this._data       = this._load();
-    this._listeners  = [];
+  constructor(storageKey, schema, { version = 0, migrations = {}, constraints = [] } = {}) {
+    this._storageKey  = storageKey;
+    this._schema      = normalizeSchema(schema);
+    this._version     = version;
+    this._migrations  = migrations;
+    this._constraints = constraints;
+    this._defaults    = Object.fromEntries(
+      Object.entries(this._schema).map(([key, spec]) => [key, spec.default])
+    );
+    this._data        = this._load();
+    this._listeners   = [];
   }
 
-  // Persistence 
+  // Persistence
 
   _load() {
+    // No storage outside the browser (headless runs): defaults only
+    if (typeof localStorage === "undefined") return { ...this._defaults };
     try {
       const saved = localStorage.getItem(this._storageKey);
-      if (saved) {
-        // Merge over defaults so new keys always have a value
-        return { ...this._defaults, ...JSON.parse(saved) };
-      }
+      if (saved) return this._restore(JSON.parse(saved));
     } catch (e) {
       console.warn("Config: could not read localStorage", e);
     }
     return { ...this._defaults };
   }
 
+  /** Migrate and validate saved data; bad values fall back to defaults */
+  _restore(saved) {
+    // Data from before versioning is a bare values object
+    const versioned = saved && typeof saved.version === "number" && saved.values;
+    let   values    = versioned ? saved.values : saved;
+    for (let v = (versioned ? saved.version : 0) + 1; v <= this._version; v++) {
+      if (this._migrations[v]) values = this._migrations[v]({ ...values });
+    }
+
+    // Merge over defaults so new keys always have a value, unknown keys are dropped
+    const data = { ...this._defaults };
+    for (const [key, raw] of Object.entries(values ?? {})) {
+      if (!Object.hasOwn(this._schema, key) || raw === undefined) continue;
+      const result = this._coerce(key, raw);
+      if (result.ok) data[key] = result.value;
+      else console.warn(`Config: invalid saved value for "${key}" (${JSON.stringify(raw)}), using default`);
+    }
+
+    for (const rule of this._constraints) {
+      if (rule.check(data)) continue;
+      console.warn("Config: " + rule.message + ", using defaults");
+      for (const key of rule.keys) data[key] = this._defaults[key];
+    }
+    return data;
+  }
+
   _save() {
+    if (typeof localStorage === "undefined") return;
     try {
-      localStorage.setItem(this._storageKey, JSON.stringify(this._data));
+      const saved = { version: this._version, values: this._data };
+      localStorage.setItem(this._storageKey, JSON.stringify(saved));
     } catch (e) {
       console.warn("Config: could not write localStorage", e);
     }
   }
 
-  // Public API 
+  // Validation
+
+  /**
+   * Convert a value to the key's type and range.
+   * @returns {{ok: boolean, value?: *}}
+   */
+  _coerce(key, value) {
+    const spec = this.spec(key);
+    if (!spec) return { ok: false };
+    if (value === null) return spec.nullable ? { ok: true, value: null } : { ok: false };
+
+    switch (spec.type) {
+      case "number":
+      case "integer": {
+        let n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        if (typeof n !== "number" || !Number.isFinite(n)) return { ok: false };
+        if (spec.type === "integer") n = Math.round(n);
+        if (spec.min !== undefined) n = Math.max(spec.min, n);
+        if (spec.max !== undefined) n = Math.min(spec.max, n);
+        return { ok: true, value: n };
+      }
+      case "boolean":
+        if (typeof value === "boolean") return { ok: true, value };
+        if (value === "true"  || value === 1 || value === "1") return { ok: true, value: true  };
+        if (value === "false" || value === 0 || value === "0") return { ok: true, value: false };
+        return { ok: false };
+      case "enum":
+        return Object.hasOwn(spec.options, value) ? { ok: true, value: String(value) } : { ok: false };
+      case "string":
+        return typeof value === "string" || typeof value === "number"
+          ? { ok: true, value: String(value) }
+          : { ok: false };
+      default: // "any"
+        return { ok: true, value };
+    }
+  }
+
+  /**
+   * Validate a set of changes against the schema and the cross-field rules.
+   * Rules may adjust the keys that were not changed (e.g. push maxGap up
+   * when minGap passes it).
+   * @returns {object|null} the new data, or null when the changes are rejected
+   */
+  _apply(changes) {
+    const next    = { ...this._data };
+    const changed = new Set();
+    for (const [key, raw] of Object.entries(changes)) {
+      const result = this._coerce(key, raw);
+      if (!result.ok) {
+        console.warn(`Config: rejected value for "${key}":`, raw);
+        return null;
+      }
+      next[key] = result.value;
+      changed.add(key);
+    }
+
+    for (const rule of this._constraints) {
+      if (rule.check(next)) continue;
+      for (const [key, raw] of Object.entries(rule.fix(next, changed))) {
+        const result = this._coerce(key, raw);
+        if (result.ok) next[key] = result.value;
+      }
+      if (!rule.check(next)) {
+        console.warn("Config: " + rule.message);
+        return null;
+      }
+    }
+    return next;
+  }
+
+  // Public API
 
   /** Get a single value */
   get(key) {
@@ -58,24 +196,76 @@ export class ConfigBase {
     return { ...this._data };
   }
 
+  /**
+   * Field spec of a key (type, min, max, step, label...), or undefined.
+   * Own keys only, so "constructor" or "toString" are never settings.
+   */
+  spec(key) {
+    return Object.hasOwn(this._schema, key) ? this._schema[key] : undefined;
+  }
+
+  /** All field specs by key, in declaration order */
+  get schema() {
+    return this._schema;
+  }
+
+  /** Default values (copy) */
+  get defaults() {
+    return { ...this._defaults };
+  }
+
+  /** localStorage key of this config */
+  get storageKey() {
+    return this._storageKey;
+  }
+
+  /** Current version of the saved format */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * Migrate and validate saved data ({ version, values } or bare values)
+   * without applying it, e.g. an imported preset. Missing or invalid keys get
+   * their default.
+   * @returns {object} full values object
+   */
+  restore(saved) {
+    return this._restore(saved);
+  }
+
   /**
    * Set a value, persist and notify listeners.
+   * Invalid values are rejected and the current value is kept.
    * @param {string}  key
    * @param {*}       value
-   * @param {boolean} silent  Skip notifying listeners (used for batch updates)
+   * @param {boolean} silent  Skip notifying listeners
+   * @returns {boolean} whether the value was accepted
    */
   set(key, value, silent = false) {
-    this._data[key] = value;
+    const next = this._apply({ [key]: value });
+    if (!next) return false;
+
+    // Cross-field rules may have moved other keys too
+    const others = Object.keys(next).some(k => k !== key && next[k] !== this._data[k]);
+    this._data = next;
     this._save();
-    if (!silent) this._notify(key, value);
+    if (!silent) this._notify(others ? null : key, others ? null : next[key]);
+    return true;
   }
 
-  /** Set multiple values at once and notify once */
+  /**
+   * Set multiple values at once and notify once.
+   * All-or-nothing: one invalid value rejects the whole batch.
+   * @returns {boolean} whether the values were accepted
+   */
   setBatch(obj) {
-    for (const [k, v] of Object.entries(obj)) {
-      this.set(k, v, true);
-    }
+    const next = this._apply(obj);
+    if (!next) return false;
+    this._data = next;
+    this._save();
     this._notify(null, null);
+    return true;
   }
 
   /** Reset all values to defaults */
@@ -86,7 +276,7 @@ export class ConfigBase {
   }
 
   /**
-   * Subscribe to config changes.
+   * Subscribe to config changes. key is null when several keys changed at once.
    * @param {function(key: string|null, value: *): void} fn
    * @returns {function} unsubscribe function
    */
@@ -100,4 +290,55 @@ export class ConfigBase {
   _notify(key, value) {
     for (const fn of this._listeners) fn(key, value);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Cross-field rule: values[low] + minGap <= values[high].
+ * When one side is changed past the other, the other side follows it.
+ * @param {string} low
+ * @param {string} high
+ * @param {number} [minGap=0]
+ */
+export function orderedPair(low, high, minGap = 0) {
+  return {
+    keys   : [low, high],
+    message: `"${low}" must stay below "${high}"`,
+    check  : (v) => v[low] + minGap <= v[high] + 1e-9,
+    fix    : (v, changed) => changed.has(high) && !changed.has(low)
+      ? { [low] : v[high] - minGap }
+      : { [high]: v[low]  + minGap },
+  };
+}
+
+/**
+ * Put a group of fields in the same panel section.
+ *   const SCHEMA = {
+ *     ...section("physics", { gravity: { type: "number", default: 1400 } }),
+ *   };
+ * @param {string} id      Section id (the panel title comes from i18n "section.<id>")
+ * @param {object} fields  Field specs (or plain default values) by key
+ */
+export function section(id, fields) {
+  return Object.fromEntries(
+    Object.entries(normalizeSchema(fields)).map(([key, spec]) => [key, { ...spec, section: id }])
+  );
+}
+
+/** Expand plain default values into field specs */
+function normalizeSchema(schema) {
+  const out = {};
+  for (const [key, entry] of Object.entries(schema)) {
+    const isSpec = entry !== null && typeof entry === "object" && "default" in entry;
+    if (isSpec) {
+      out[key] = { ...entry };
+      // A list of values: the value is its own label (UIs may translate it)
+      if (Array.isArray(entry.options)) {
+        out[key].options = Object.fromEntries(entry.options.map(v => [v, String(v)]));
+      }
+    } else {
+      const type = entry === null ? "any" : typeof entry;
+      out[key] = { type, default: entry, nullable: entry === null };
+    }
+  }
+  return out;
+}
@@ -0,0 +1,513 @@
+import { i18n, t } from "./i18n.js";
+import { downloadText } from "./download.js";
+
+/**
+ * ConfigPanel
+ * Tuning overlay generated from a ConfigBase schema: one section per
+ * spec.section, one row per key, with the control picked from the spec.
+ * Opens/closes with a fixed button. Game keeps running underneath.
+ * Reads initial values from the config and writes back on every change.
+ *
+ * Usage:
+ *   const panel = new ConfigPanel(config, { onNeedsRebuild: () => game.rebuild() });
+ *
+ * Spec fields used by the panel (besides type, min, max, step, options, label):
+ *   section      Section id; keys without one go to "general"
+ *   control      "slider" | "select" | "number" | "text" | "none" (hidden).
+ *                Default: select for enums, booleans and keys with options,
+ *                slider for numbers with min and max, number input otherwise
+ *   format       "percent" shows 0.25 as 25%
+ *   placeholder  Shown by number/text inputs when the value is null
+ *   rebuild      Changing the key calls onNeedsRebuild
+ *
+ * Texts come from i18n when the tables have them, else from the schema:
+ *   section.<id>               section title (else the id)
+ *   config.<key>               row label (else spec.label, else the key)
+ *   config.<key>.<value>       option label (else common.<value> for booleans,
+ *                              else the options label)
+ *   config.<key>.placeholder   input placeholder (else spec.placeholder)
+ * and follow language changes.
+ *
+ * Games add their own rows (buttons, device lists...) with addElement() and
+ * fill runtime options with setOptions(). With a ConfigPresets the panel
+ * starts with a section to save, load, export and import named presets.
+ */
+export class ConfigPanel {
+  /**
+   * @param {import('./config_base.js').ConfigBase} config
+   * @param {object}   [opts]
+   * @param {function} [opts.onNeedsRebuild]  Called when changes require re-init of game systems
+   * @param {string}   [opts.title]           i18n key of the panel heading
+   * @param {string}   [opts.toggleLabel]     i18n key of the open/close button
+   * @param {import('./config_presets.js').ConfigPresets} [opts.presets]  Enables the presets section
+   */
+  constructor(config, { onNeedsRebuild = () => {}, title = "panel.title", toggleLabel = "panel.toggle", presets = null } = {}) {
+    this.config         = config;
+    this.onNeedsRebuild = onNeedsRebuild;
+    this.presets        = presets;
+    this._title         = title;
+    this._toggleLabel   = toggleLabel;
+    this._sections      = new Map(); // section id -> element
+    this._controls      = new Map(); // key -> { el, control }
+
+    this._injectStyles();
+    this._buildDOM();
+  }
+
+  // --- Styles ----------------------------------------------------------------
+
+  _injectStyles() {
+    const style = document.createElement("style");
+    style.textContent = `
+      #debug-toggle {
+        position: fixed;
+        top: 12px;
+        right: 12px;
+        z-index: 1000;
+        background: rgba(0,0,0,0.7);
+        color: #fff;
+        border: 1px solid #555;
+        border-radius: 8px;
+        padding: 6px 12px;
+        font: bold 14px monospace;
+        cursor: pointer;
+      }
+      #debug-toggle:hover { background: rgba(60,60,60,0.9); }
+
+      #debug-panel {
+        display: none;
+        position: fixed;
+        top: 0; right: 0;
+        width: 300px;
+        height: 100vh;
+        overflow-y: auto;
+        background: rgba(15,15,15,0.95);
+        border-left: 1px solid #333;
+        z-index: 999;
+        padding: 16px;
+        font: 13px monospace;
+        color: #eee;
+        box-sizing: border-box;
+      }
+      #debug-panel.open { display: block; }
+
+      .dp-title {
+        font-size: 16px;
+        font-weight: bold;
+        color: #5cf;
+        margin-bottom: 16px;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+      }
+      .dp-close {
+        background: none;
+        border: none;
+        color: #f44;
+        font-size: 18px;
+        cursor: pointer;
+      }
+
+      .dp-section {
+        margin-bottom: 20px;
+      }
+      .dp-section-title {
+        color: #fa0;
+        font-weight: bold;
+        margin-bottom: 10px;
+        padding-bottom: 4px;
+        border-bottom: 1px solid #333;
+      }
+
+      .dp-row {
+        margin-bottom: 10px;
+      }
+      .dp-label {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 3px;
+        color: #aaa;
+      }
+      .dp-value {
+        color: #fff;
+        font-weight: bold;
+      }
+      .dp-row input[type=range] {
+        width: 100%;
+        accent-color: #5cf;
+      }
+      .dp-row select,
+      .dp-row input[type=number],
+      .dp-row input[type=text] {
+        width: 100%;
+        background: #222;
+        color: #eee;
+        border: 1px solid #444;
+        border-radius: 4px;
+        padding: 4px 6px;
+        font: 12px monospace;
+        box-sizing: border-box;
+      }
+
+      .dp-reset {
+        width: 100%;
+        margin-top: 8px;
+        padding: 8px;
+        background: #400;
+        color: #faa;
+        border: 1px solid #f44;
+        border-radius: 6px;
+        font: bold 13px monospace;
+        cursor: pointer;
+      }
+      .dp-reset:hover { background: #600; }
+
+      .dp-action {
+        width: 100%;
+        padding: 8px;
+        background: #023;
+        color: #5cf;
+        border: 1px solid #5cf;
+        border-radius: 6px;
+        font: bold 13px monospace;
+        cursor: pointer;
+      }
+      .dp-action:hover { background: #045; }
+      .dp-action:disabled { opacity: 0.4; cursor: default; }
+
+      .dp-buttons {
+        display: flex;
+        gap: 6px;
+        margin-bottom: 6px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // --- DOM -------------------------------------------------------------------
+
+  _buildDOM() {
+    // Toggle button
+    this._toggleBtn = document.createElement("button");
+    this._toggleBtn.id = "debug-toggle";
+    this._toggleBtn.addEventListener("click", () => this.toggle());
+    document.body.appendChild(this._toggleBtn);
+
+    // Panel
+    this._panel = document.createElement("div");
+    this._panel.id = "debug-panel";
+    this._panel.innerHTML = `
+      <div class="dp-title">
+        <span data-i18n="${this._title}"></span>
+        <button class="dp-close" id="dp-close-btn">✕</button>
+      </div>
+      <div class="dp-sections"></div>
+      <button class="dp-reset" id="dp-reset-btn" data-i18n="panel.reset"></button>
+    `;
+    this._sectionsEl = this._panel.querySelector(".dp-sections");
+    document.body.appendChild(this._panel);
+
+    if (this.presets) this._buildPresets();
+
+    // One row per schema key, sections in order of first appearance
+    for (const [key, spec] of Object.entries(this.config.schema)) {
+      const control = spec.control ?? defaultControl(spec);
+      if (control === "none") continue;
+      this.section(spec.section ?? "general").appendChild(this._buildRow(key, spec, control));
+    }
+
+    // Close button
+    this._panel.querySelector("#dp-close-btn")
+      .addEventListener("click", () => this.close());
+
+    // Reset button
+    this._panel.querySelector("#dp-reset-btn")
+      .addEventListener("click", () => {
+        this.config.reset();
+        this.onNeedsRebuild();
+      });
+
+    // Set initial values from config
+    this._syncFromConfig();
+
+    // Updates from outside the panel (e.g. calibration wizard, launch params)
+    this.config.onChange((key) => {
+      if (key === null) this._syncFromConfig();
+      else              this._syncKey(key);
+    });
+
+    this._applyLanguage();
+    i18n.onChange(() => this._applyLanguage());
+  }
+
+  /** Retranslate every data-i18n text; subclasses add their dynamic texts */
+  _applyLanguage() {
+    this._toggleBtn.textContent = t(this._toggleLabel);
+    i18n.translate(this._panel);
+    this._syncFromConfig();
+  }
+
+  /**
+   * Section element with the given id, created at the end if missing.
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  section(id) {
+    let el = this._sections.get(id);
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "dp-section";
+      el.innerHTML = `<div class="dp-section-title"></div>`;
+      el.firstElementChild.dataset.i18n = "section." + id;
+      el.firstElementChild.textContent  = i18n.has("section." + id) ? t("section." + id) : id;
+      this._sectionsEl.appendChild(el);
+      this._sections.set(id, el);
+    }
+    return el;
+  }
+
+  /**
+   * Add a custom element (button, status row...) to a section. Give its
+   * texts data-i18n keys so they follow language changes.
+   * @param {string}      id    Section id
+   * @param {HTMLElement} el
+   * @param {object}      [opts]
+   * @param {string}      [opts.after]  Config key whose row it follows; default: end of the section
+   */
+  addElement(id, el, { after = null } = {}) {
+    const section = this.section(id);
+    const row     = after && this._panel.querySelector(`#dp-${after}`)?.closest(".dp-row");
+    if (row && row.parentElement === section) row.after(el);
+    else                                      section.appendChild(el);
+  }
+
+  /**
+   * Replace the options of a select row (e.g. devices only known at runtime).
+   * @param {string} key
+   * @param {Object<string, string>} options  { value: label }
+   */
+  setOptions(key, options) {
+    const entry = this._controls.get(key);
+    if (!entry || entry.control !== "select") return;
+    fillSelect(entry.el, options);
+    this._syncKey(key);
+  }
+
+  // --- Presets ---------------------------------------------------------------
+
+  _buildPresets() {
+    const row = document.createElement("div");
+    row.className = "dp-row";
+    row.innerHTML = `
+      <div class="dp-label">
+        <span data-i18n="preset.label"></span>
+        <span class="dp-value" id="dp-preset-status"></span>
+      </div>
+      <select id="dp-preset-select"></select>
+      <div class="dp-buttons" style="margin-top: 6px">
+        <button class="dp-action" id="dp-preset-save-btn"   data-i18n="preset.save"></button>
+        <button class="dp-action" id="dp-preset-delete-btn" data-i18n="preset.delete"></button>
+      </div>
+      <div class="dp-buttons">
+        <button class="dp-action" id="dp-preset-export-btn" data-i18n="preset.export"></button>
+        <button class="dp-action" id="dp-preset-import-btn" data-i18n="preset.import"></button>
+        <button class="dp-action" id="dp-preset-link-btn"   data-i18n="preset.link"></button>
+      </div>
+      <input type="file" id="dp-preset-file" accept=".json,application/json" hidden />
+    `;
+    this.section("presets").appendChild(row);
+
+    const select    = row.querySelector("#dp-preset-select");
+    const fileInput = row.querySelector("#dp-preset-file");
+
+    // Picking a preset applies it right away
+    select.addEventListener("change", () => {
+      if (!select.value) return;
+      if (this.presets.load(select.value)) this.onNeedsRebuild();
+      this._setPresetStatus(select.value);
+    });
+
+    row.querySelector("#dp-preset-save-btn").addEventListener("click", () => {
+      const name = prompt(t("preset.namePrompt"), select.value);
+      if (!name || !this.presets.save(name)) return;
+      select.value = name.trim();
+      this._setPresetStatus(t("preset.saved"));
+    });
+
+    row.querySelector("#dp-preset-delete-btn").addEventListener("click", () => {
+      if (!select.value || !confirm(t("preset.deleteConfirm", { name: select.value }))) return;
+      this.presets.remove(select.value);
+    });
+
+    // Without a selected preset, export and link share the current values
+    row.querySelector("#dp-preset-export-btn").addEventListener("click", () => {
+      const name = select.value || null;
+      downloadText((name ?? "config") + ".json", this.presets.toJSON(name));
+    });
+
+    row.querySelector("#dp-preset-import-btn").addEventListener("click", () => fileInput.click());
+
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      fileInput.value = "";
+      if (!file) return;
+      try {
+        const name = this.presets.importJSON(await file.text(), file.name.replace(/\.json$/i, ""));
+        select.value = name;
+        if (this.presets.load(name)) this.onNeedsRebuild();
+        this._setPresetStatus(t("preset.imported"));
+      } catch (e) {
+        console.warn("ConfigPanel: could not import preset", e);
+        alert(t("preset.importFailed", { error: e.message }));
+      }
+    });
+
+    row.querySelector("#dp-preset-link-btn").addEventListener("click", async () => {
+      const url = location.origin + location.pathname + "?" + this.presets.toQuery(select.value || null);
+      try {
+        await navigator.clipboard.writeText(url);
+        this._setPresetStatus(t("preset.linkCopied"));
+      } catch (e) {
+        prompt(t("preset.linkPrompt"), url);
+      }
+    });
+
+    this.presets.onChange(() => this._fillPresets());
+    this._fillPresets();
+  }
+
+  _fillPresets() {
+    const select  = this._panel.querySelector("#dp-preset-select");
+    const current = select.value;
+    const options = { "": t("preset.choose") };
+    for (const name of this.presets.names()) options[name] = name;
+    fillSelect(select, options);
+    select.firstElementChild.dataset.i18n = "preset.choose";
+    select.value = this.presets.has(current) ? current : "";
+  }
+
+  _setPresetStatus(text) {
+    this._panel.querySelector("#dp-preset-status").textContent = text;
+  }
+
+  _buildRow(key, spec, control) {
+    const row = document.createElement("div");
+    row.className = "dp-row";
+    row.innerHTML = `
+      <div class="dp-label">
+        <span></span>
+        <span class="dp-value" id="dp-${key}-val"></span>
+      </div>
+    `;
+    const label = row.querySelector("span");
+    label.dataset.i18n = "config." + key;
+    label.textContent  = spec.label ?? key;
+
+    let el;
+    if (control === "slider") {
+      el = document.createElement("input");
+      el.type = "range";
+      el.min  = spec.min;
+      el.max  = spec.max;
+      el.step = spec.step ?? "any";
+      el.addEventListener("input", () => this._onInput(key, el.value));
+    } else if (control === "select") {
+      el = document.createElement("select");
+      // Booleans fall back to the common yes/no texts
+      const fallback = spec.type === "boolean" ? "common" : null;
+      if (spec.options)                fillSelect(el, spec.options, "config." + key, fallback);
+      else if (spec.type === "boolean") fillSelect(el, { false: "No", true: "Sí" }, "common");
+      el.addEventListener("change", () => this._onInput(key, el.value));
+    } else {
+      // number / text input; empty means null for nullable keys
+      el = document.createElement("input");
+      el.type = control === "number" ? "number" : "text";
+      if (spec.min  !== undefined) el.min  = spec.min;
+      if (spec.max  !== undefined) el.max  = spec.max;
+      if (spec.step !== undefined) el.step = spec.step;
+      if (spec.placeholder)        el.placeholder = spec.placeholder;
+      el.dataset.i18nPlaceholder = `config.${key}.placeholder`;
+      el.addEventListener("change", () => {
+        const val = el.value.trim();
+        this._onInput(key, val === "" && spec.nullable ? null : val);
+      });
+    }
+    el.id = "dp-" + key;
+    row.appendChild(el);
+    this._controls.set(key, { el, control });
+    return row;
+  }
+
+  _onInput(key, value) {
+    const accepted = this.config.set(key, value);
+    // Rejected or clamped values snap the control back to what was stored
+    this._syncKey(key);
+    if (accepted && this.config.spec(key).rebuild) this.onNeedsRebuild();
+  }
+
+  // --- Sync UI from Config ---------------------------------------------------
+
+  _syncFromConfig() {
+    for (const key of this._controls.keys()) this._syncKey(key);
+  }
+
+  _syncKey(key) {
+    const entry = this._controls.get(key);
+    if (!entry) return;
+    const val = this.config.get(key);
+    entry.el.value = val === null ? "" : String(val);
+
+    // Sliders show their value next to the label
+    if (entry.control !== "slider") return;
+    const label = this._panel.querySelector(`#dp-${key}-val`);
+    label.textContent = this.config.spec(key).format === "percent"
+      ? Math.round(val * 100) + "%"
+      : val;
+  }
+
+  // --- Toggle ----------------------------------------------------------------
+
+  toggle() {
+    this._panel.classList.toggle("open");
+  }
+
+  close() {
+    this._panel.classList.remove("open");
+  }
+
+  open() {
+    this._panel.classList.add("open");
+    this._syncFromConfig();
+  }
+}
+
+/** Control used for a spec that doesn't name one */
+function defaultControl(spec) {
+  if (spec.options || spec.type === "enum" || spec.type === "boolean") return "select";
+  if (spec.type === "number" || spec.type === "integer") {
+    return spec.min !== undefined && spec.max !== undefined ? "slider" : "number";
+  }
+  return spec.type === "string" ? "text" : "none";
+}
+
+/**
+ * @param {HTMLSelectElement} select
+ * @param {Object<string, string>} options  { value: label }
+ * @param {string|null} [keyPrefix]  Options get data-i18n "<keyPrefix>.<value>" and its text when there is one
+ * @param {string|null} [fallbackPrefix]  Tried when "<keyPrefix>.<value>" has no text (e.g. "common" for true/false)
+ */
+function fillSelect(select, options, keyPrefix = null, fallbackPrefix = null) {
+  select.innerHTML = "";
+  for (const [value, label] of Object.entries(options)) {
+    const opt = document.createElement("option");
+    opt.value       = value;
+    opt.textContent = label;
+    const keys = [keyPrefix, fallbackPrefix].filter(Boolean).map(prefix => prefix + "." + value);
+    const key  = keys.find(k => i18n.has(k)) ?? keys[0];
+    if (key) {
+      opt.dataset.i18n = key;
+      if (i18n.has(key)) opt.textContent = t(key);
+    }
+    select.appendChild(opt);
+  }
+}
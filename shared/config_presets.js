@@ -0,0 +1,238 @@
+import { t } from "./i18n.js";
+
+/**
+ * ConfigPresets
+ * Named snapshots of a ConfigBase ("Principiantes", "Estación 3 webcam"...)
+ * saved in localStorage next to the config, plus export/import as a JSON
+ * file or as a URL query string to share a station setup.
+ * Keys marked local (e.g. the camera id) stay out of presets: loading one
+ * keeps this device's values.
+ *
+ * Usage:
+ *   const presets = new ConfigPresets(config);
+ *   presets.save("Principiantes");
+ *   presets.load("Principiantes");
+ *   const url = location.pathname + "?" + presets.toQuery("Principiantes");
+ *   presets.applyQuery(location.search, { confirmOverwrite: (name) => confirm(...) });  // on startup
+ *   history.replaceState(null, "", location.pathname + ConfigPresets.stripQuery(location.search));
+ *
+ * JSON files are { name, version, values }: values of an older version go
+ * through the config migrations when loaded.
+ */
+
+/** Query param carrying the preset name */
+const NAME_PARAM = "preset";
+
+/** Config values travel as cfg.<key>=<value>, apart from the game's own params (?seed, ?mode...) */
+const KEY_PREFIX = "cfg.";
+
+export class ConfigPresets {
+  /**
+   * @param {import('./config_base.js').ConfigBase} config
+   * @param {object} [opts]
+   * @param {string} [opts.storageKey]  Default: the config key + "_presets"
+   */
+  constructor(config, { storageKey = config.storageKey + "_presets" } = {}) {
+    this.config      = config;
+    this._storageKey = storageKey;
+    this._presets    = this._load(); // name -> { version, values }, no prototype: any name is a plain key
+    this._listeners  = [];
+  }
+
+  // Persistence
+
+  _load() {
+    const presets = Object.create(null);
+    if (typeof localStorage === "undefined") return presets;
+    try {
+      const saved = localStorage.getItem(this._storageKey);
+      if (saved) return Object.assign(presets, JSON.parse(saved));
+    } catch (e) {
+      console.warn("ConfigPresets: could not read localStorage", e);
+    }
+    return presets;
+  }
+
+  _save() {
+    if (typeof localStorage !== "undefined") {
+      try {
+        localStorage.setItem(this._storageKey, JSON.stringify(this._presets));
+      } catch (e) {
+        console.warn("ConfigPresets: could not write localStorage", e);
+      }
+    }
+    for (const fn of this._listeners) fn();
+  }
+
+  /** Values without the device-specific keys */
+  _portable(values) {
+    const out = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!this.config.spec(key)?.local) out[key] = value;
+    }
+    return out;
+  }
+
+  // Presets
+
+  /** Saved preset names, sorted */
+  names() {
+    return Object.keys(this._presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  has(name) {
+    return Object.hasOwn(this._presets, name);
+  }
+
+  /** Save the current config under a name (overwrites) */
+  save(name) {
+    name = name.trim();
+    if (!name) return false;
+    this._presets[name] = { version: this.config.version, values: this._portable(this.config.all()) };
+    this._save();
+    return true;
+  }
+
+  /**
+   * Apply a saved preset to the config.
+   * @returns {boolean} whether it was found and accepted
+   */
+  load(name) {
+    const preset = this._presets[name];
+    if (!preset) return false;
+    return this.config.setBatch(this._portable(this.config.restore(preset)));
+  }
+
+  remove(name) {
+    if (!this.has(name)) return;
+    delete this._presets[name];
+    this._save();
+  }
+
+  // Export / import
+
+  /** JSON file contents for a preset, or for the current config when name is null */
+  toJSON(name = null) {
+    const preset = name === null
+      ? { version: this.config.version, values: this._portable(this.config.all()) }
+      : this._presets[name];
+    if (!preset) return null;
+    return JSON.stringify({ name: name ?? "", ...preset }, null, 2);
+  }
+
+  /**
+   * Save a preset from JSON file contents. Unknown keys are dropped and
+   * invalid values replaced by defaults.
+   * @param {string} text
+   * @param {string} [fallbackName]  Used when the file has no name
+   * @returns {string} the saved preset name
+   * @throws {Error} when the text is not a preset file; the message is
+   *   translated, for the user
+   */
+  importJSON(text, fallbackName = t("preset.importedName")) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(t("preset.notJSON"));
+    }
+    if (!data || typeof data.values !== "object" || data.values === null) {
+      throw new Error(t("preset.notPreset"));
+    }
+
+    const name   = String(data.name || fallbackName).trim() || fallbackName;
+    const values = this.config.restore({ version: Number(data.version) || 0, values: data.values });
+    this._presets[name] = { version: this.config.version, values: this._portable(values) };
+    this._save();
+    return name;
+  }
+
+  /**
+   * Query string with the values that differ from the defaults, so links
+   * stay short. Null values are written as an empty param.
+   * @param {string|null} [name]  Saved preset, or null for the current config
+   */
+  toQuery(name = null) {
+    const values = name === null
+      ? this.config.all()
+      : this.config.restore(this._presets[name] ?? {});
+    const defaults = this.config.defaults;
+    const params   = new URLSearchParams();
+    if (name) params.set(NAME_PARAM, name);
+    for (const [key, value] of Object.entries(this._portable(values))) {
+      if (value !== defaults[key]) params.set(KEY_PREFIX + key, value === null ? "" : String(value));
+    }
+    return params.toString();
+  }
+
+  /**
+   * Apply config values found in a query string (see toQuery). Only the
+   * keys the link carries change: the rest of the config (personal
+   * calibration, local tuning) stays. Other params are ignored.
+   * With a preset name the link's setup (its values over the defaults) is
+   * also saved under it; an existing preset of that name is only replaced
+   * when confirmOverwrite agrees.
+   * Apply a link once: strip it from the address bar afterwards (see
+   * stripQuery), or every reload applies it again.
+   * @param {string} search  e.g. location.search
+   * @param {object} [opts]
+   * @param {function(name: string): boolean} [opts.confirmOverwrite]  Default: never overwrite
+   * @returns {boolean} whether the query carried config values and they were applied
+   */
+  applyQuery(search, { confirmOverwrite = () => false } = {}) {
+    const params = new URLSearchParams(search);
+    const values = {};
+    for (const [param, raw] of params) {
+      if (!param.startsWith(KEY_PREFIX)) continue;
+      // Own schema keys only: "cfg.constructor" is not a setting
+      const key = param.slice(KEY_PREFIX.length);
+      if (!Object.hasOwn(this.config.schema, key)) continue;
+      const spec = this.config.schema[key];
+      if (spec.local) continue;
+      values[key] = raw === "" && spec.nullable ? null : raw;
+    }
+    const name = params.get(NAME_PARAM)?.trim();
+    if (!Object.keys(values).length && !name) return false;
+
+    // Validated full setup; invalid carried values fall back to defaults
+    const restored = this._portable(this.config.restore({ version: this.config.version, values }));
+    const carried  = {};
+    for (const key of Object.keys(values)) {
+      if (Object.hasOwn(restored, key)) carried[key] = restored[key];
+    }
+    if (!this.config.setBatch(carried)) return false;
+
+    if (name && (!this.has(name) || confirmOverwrite(name))) {
+      this._presets[name] = { version: this.config.version, values: restored };
+      this._save();
+    }
+    return true;
+  }
+
+  /**
+   * The query string without the params applyQuery reads, to clean the
+   * address bar once a link has been applied.
+   * @param {string} search  e.g. location.search
+   * @returns {string} "" or "?..." with the remaining params
+   */
+  static stripQuery(search) {
+    const params = new URLSearchParams(search);
+    for (const param of [...params.keys()]) {
+      if (param === NAME_PARAM || param.startsWith(KEY_PREFIX)) params.delete(param);
+    }
+    const rest = params.toString();
+    return rest ? "?" + rest : "";
+  }
+
+  /**
+   * Subscribe to the list of presets changing.
+   * @param {function(): void} fn
+   * @returns {function} unsubscribe function
+   */
+  onChange(fn) {
+    this._listeners.push(fn);
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn);
+    };
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Trigger a browser download of text contents (recordings, presets).
+ * The object URL is revoked on the next tick: revoking it right after
+ * click() can cancel the download in some browsers.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [type="application/json"]  MIME type
+ */
+export function downloadText(filename, text, type = "application/json") {
+  const blob = new Blob([text], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement("a");
+  a.href     = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,67 @@
+import { CameraBase } from "./camera_base.js";
+import { ExerciseDetector } from "./exercise_detector.js";
+
+/**
+ * ExerciseCameraInput
+ * CameraBase driven by an ExerciseDetector: no landmark math in the game,
+ * just pick a definition (see exercises.js). The detector presses/releases
+ * the definition's action on the InputHandler and feeds the rep tracker.
+ *
+ * Usage:
+ *   import { EXERCISES } from "../../shared/exercises.js";
+ *   const input = new ExerciseCameraInput(videoEl, overlayEl, game.input, config, EXERCISES.squat);
+ *   input.setExercise(EXERCISES.overheadPress);   // switch at runtime
+ */
+export class ExerciseCameraInput extends CameraBase {
+  /**
+   * @param {HTMLVideoElement|null}  videoEl
+   * @param {HTMLCanvasElement|null} overlayEl
+   * @param {import('./input_handler.js').InputHandler} inputHandler
+   * @param {import('./config_base.js').ConfigBase} config
+   * @param {object} exercise  Exercise definition
+   * @param {object} [opts]
+   * @param {import('./workout_session.js').WorkoutSession} [opts.session]  Optional rep tracker
+   * @param {import('./pose_provider.js').PoseProvider} [opts.provider]     Defaults to MediaPipe webcam
+   */
+  constructor(videoEl, overlayEl, inputHandler, config, exercise, { session = null, provider = null } = {}) {
+    super(videoEl, overlayEl, config, { provider });
+    this.inputHandler = inputHandler;
+    this.session      = session;
+
+    // While true the metric is still computed (for calibration wizards)
+    // but no input or reps are generated
+    this.calibrating  = false;
+
+    this.setExercise(exercise);
+  }
+
+  /** Switch exercise, releasing anything the previous detector held */
+  setExercise(exercise) {
+    this.detector?.release();
+    this.exercise = exercise;
+    this.detector = new ExerciseDetector(exercise, this.config, this.inputHandler, { session: this.session });
+  }
+
+  /** Latest metric value, null when not detected */
+  get value() { return this.detector.value; }
+
+  _onPoseResults(results, t = performance.now()) {
+    const lm = results.poseLandmarks;
+    this.detector.update(lm, t, (l, ...idx) => this._isVisible(l, ...idx), { silent: this.calibrating });
+    this._drawOverlay(lm);
+  }
+
+  _onPoseLost() {
+    this.detector.value = null;
+    this.detector.release();
+  }
+
+  /** Key points of the current exercise; override to add more */
+  _drawOverlay(lm) {
+    this._drawKeyPoints(this.exercise.keyPoints.map(kp => ({
+      point: lm[kp.index],
+      label: kp.label,
+      color: this.detector.isActive ? "#0f0" : kp.color,
+    })));
+  }
+}
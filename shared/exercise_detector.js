@@ -0,0 +1,201 @@
+/**
+ * Exercise detectors
+ * Declarative exercise definitions on top of pose landmarks, so a new game
+ * (or a new exercise for an existing game) doesn't reimplement landmark math.
+ *
+ * A definition is one scalar metric plus two zones with hysteresis:
+ *   rest    the position a rep starts and ends in (arms open, standing)
+ *   active  the contracted position (arms closed, bottom of the squat)
+ * Entering the active zone presses the definition's action (an InputHandler
+ * code, "Pose" for the built-in exercises); getting back to the rest zone
+ * releases it. The gap between the two thresholds is the hysteresis band:
+ * values inside it never toggle.
+ *
+ * Definition:
+ *   {
+ *     id     : "pecFly",
+ *     name   : "Pec fly",
+ *     metric : Metric.ratio(Metric.distance(15, 16), Metric.distance(11, 12)),
+ *     rest   : { above: { key: "thresholdOpen",   default: 2.5 } },
+ *     active : { below: { key: "thresholdClosed", default: 1.0 } },
+ *     action : "Pose",
+ *     keyPoints: [{ index: 15, label: "WL", color: "#ff0" }, ...],   // overlay
+ *   }
+ * Thresholds are plain numbers or { key, default } read from the game config
+ * (so the DebugPanel and calibration can tune them).
+ *
+ * Points used by metrics are a landmark index or an array of indices
+ * (their midpoint), e.g. [23, 24] = middle of the hips.
+ */
+
+// --- Metrics -----------------------------------------------------------------
+
+/**
+ * Metric builders. Each returns { landmarks: number[], compute(lm) → number|null }.
+ * landmarks lists every index the metric reads, for visibility gating.
+ */
+export const Metric = {
+  /** 2D distance between two points */
+  distance(a, b) {
+    return {
+      landmarks: indicesOf(a, b),
+      compute  : (lm) => {
+        const pa = point(lm, a);
+        const pb = point(lm, b);
+        return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+      },
+    };
+  },
+
+  /** Angle at vertex between a and b, in degrees (0..180) */
+  angle(a, vertex, b) {
+    return {
+      landmarks: indicesOf(a, vertex, b),
+      compute  : (lm) => {
+        const pa = point(lm, a);
+        const pv = point(lm, vertex);
+        const pb = point(lm, b);
+        const r  = Math.atan2(pb.y - pv.y, pb.x - pv.x) - Math.atan2(pa.y - pv.y, pa.x - pv.x);
+        let deg  = Math.abs(r * 180 / Math.PI);
+        if (deg > 180) deg = 360 - deg;
+        return deg;
+      },
+    };
+  },
+
+  /** How far a is above b, in image units (positive = a higher on screen) */
+  heightAbove(a, b) {
+    return {
+      landmarks: indicesOf(a, b),
+      compute  : (lm) => point(lm, b).y - point(lm, a).y,
+    };
+  },
+
+  /**
+   * num / den; null when den is too small to be meaningful
+   * (e.g. shoulders not resolved).
+   */
+  ratio(num, den, minDenominator = 0.01) {
+    return {
+      landmarks: [...num.landmarks, ...den.landmarks],
+      compute  : (lm) => {
+        const n = num.compute(lm);
+        const d = den.compute(lm);
+        if (n === null || d === null || Math.abs(d) < minDenominator) return null;
+        return n / d;
+      },
+    };
+  },
+
+  /** Mean of several metrics (e.g. left and right knee angle) */
+  average(...metrics) {
+    return {
+      landmarks: metrics.flatMap(m => m.landmarks),
+      compute  : (lm) => {
+        const values = metrics.map(m => m.compute(lm));
+        if (values.some(v => v === null)) return null;
+        return values.reduce((s, v) => s + v, 0) / values.length;
+      },
+    };
+  },
+};
+
+function point(lm, p) {
+  if (!Array.isArray(p)) return lm[p];
+  const pts = p.map(i => lm[i]);
+  return {
+    x: pts.reduce((s, q) => s + q.x, 0) / pts.length,
+    y: pts.reduce((s, q) => s + q.y, 0) / pts.length,
+  };
+}
+
+function indicesOf(...points) {
+  return points.flatMap(p => Array.isArray(p) ? p : [p]);
+}
+
+// --- Detector ----------------------------------------------------------------
+
+/**
+ * ExerciseDetector
+ * Runs one definition against a stream of landmarks.
+ *
+ * Usage:
+ *   const detector = new ExerciseDetector(EXERCISES.squat, config, inputHandler, { session });
+ *   detector.update(landmarks, t, (lm, ...idx) => cameraInput._isVisible(lm, ...idx));
+ */
+export class ExerciseDetector {
+  /**
+   * @param {object} definition  See the module comment
+   * @param {import('./config_base.js').ConfigBase} config
+   * @param {import('./input_handler.js').InputHandler} inputHandler
+   * @param {object} [opts]
+   * @param {import('./workout_session.js').WorkoutSession} [opts.session]  Rep tracker
+   */
+  constructor(definition, config, inputHandler, { session = null } = {}) {
+    this.definition   = definition;
+    this.config       = config;
+    this.inputHandler = inputHandler;
+    this.session      = session;
+
+    this.value    = null;  // latest metric value
+    this.zone     = null;  // "start" (rest) | "end" (active) | null (in between)
+    this.isActive = false; // true while the action is held
+  }
+
+  /**
+   * @param {Array} lm  Landmarks
+   * @param {number} t  Timestamp in ms
+   * @param {function(Array, ...number): boolean} [isVisible]  Visibility check for the metric's landmarks
+   * @param {object} [opts]
+   * @param {boolean} [opts.silent]  Compute value/zone only, no input and no reps (calibration)
+   */
+  update(lm, t, isVisible = () => true, { silent = false } = {}) {
+    const { metric } = this.definition;
+
+    this.value = isVisible(lm, ...metric.landmarks) ? metric.compute(lm) : null;
+    this.zone  = this._zoneOf(this.value);
+
+    if (silent) {
+      this.release();
+      return;
+    }
+    if (this.value === null) return;
+
+    if (!this.isActive && this.zone === "end") {
+      this.isActive = true;
+      this.inputHandler.triggerPress(this.definition.action);
+    } else if (this.isActive && this.zone === "start") {
+      this.isActive = false;
+      this.inputHandler.triggerRelease(this.definition.action);
+    }
+
+    this.session?.track(this.value, this.zone, t);
+  }
+
+  /** Let go of the action if held (pose lost, detector switched, calibrating) */
+  release() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    this.inputHandler.triggerRelease(this.definition.action);
+  }
+
+  /** Current numeric value of a definition threshold */
+  threshold(zoneName) {
+    const zone = this.definition[zoneName];
+    const spec = zone.above ?? zone.below;
+    return typeof spec === "number" ? spec : (this.config.get(spec.key) ?? spec.default);
+  }
+
+  _zoneOf(value) {
+    if (value === null) return null;
+    if (this._inZone("rest",   value)) return "start";
+    if (this._inZone("active", value)) return "end";
+    return null;
+  }
+
+  _inZone(zoneName, value) {
+    const zone = this.definition[zoneName];
+    const t    = this.threshold(zoneName);
+    return zone.above !== undefined ? value > t : value < t;
+  }
+}
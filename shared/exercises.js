@@ -0,0 +1,82 @@
+import { Metric } from "./exercise_detector.js";
+
+/**
+ * Built-in exercise definitions for ExerciseDetector.
+ * Landmark indices follow the 33-point BlazePose topology:
+ *   11/12 shoulders  13/14 elbows  15/16 wrists  23/24 hips  25/26 knees
+ *
+ * Every definition presses the "Pose" code in the active position and
+ * releases it back at rest, so any of them can drive a hold-to-charge game
+ * that binds "Pose" to its jump action (see InputHandler).
+ */
+
+/**
+ * Pec fly: wrist distance relative to shoulder width.
+ * Arms open = rest (high ratio), arms closed in front of the chest = active.
+ */
+export const PEC_FLY = {
+  id     : "pecFly",
+  name   : "Pec fly",
+  metric : Metric.ratio(Metric.distance(15, 16), Metric.distance(11, 12)),
+  rest   : { above: { key: "thresholdOpen",   default: 2.5 } },
+  active : { below: { key: "thresholdClosed", default: 1.0 } },
+  action : "Pose",
+  keyPoints: [
+    { index: 11, label: "SL", color: "#0af" },
+    { index: 12, label: "SR", color: "#0af" },
+    { index: 15, label: "WL", color: "#ff0" },
+    { index: 16, label: "WR", color: "#ff0" },
+  ],
+};
+
+/**
+ * Squat: how far the hips are above the knees, relative to torso length
+ * (shoulders to hips). Standing ≈ 0.8–1, thighs parallel ≈ 0.
+ * Only needs hips, knees and shoulders, so it works without the ankles in frame.
+ */
+export const SQUAT = {
+  id     : "squat",
+  name   : "Squat",
+  metric : Metric.ratio(
+    Metric.heightAbove([23, 24], [25, 26]),
+    Metric.distance([11, 12], [23, 24])
+  ),
+  rest   : { above: { key: "squatThresholdUp",   default: 0.6  } },
+  active : { below: { key: "squatThresholdDown", default: 0.3  } },
+  action : "Pose",
+  keyPoints: [
+    { index: 23, label: "HL", color: "#f0a" },
+    { index: 24, label: "HR", color: "#f0a" },
+    { index: 25, label: "KL", color: "#0fa" },
+    { index: 26, label: "KR", color: "#0fa" },
+  ],
+};
+
+/**
+ * Overhead press: how far the wrists are above the shoulders, relative to
+ * shoulder width. Hands at the shoulders = rest, arms locked out overhead = active.
+ */
+export const OVERHEAD_PRESS = {
+  id     : "overheadPress",
+  name   : "Overhead press",
+  metric : Metric.ratio(
+    Metric.heightAbove([15, 16], [11, 12]),
+    Metric.distance(11, 12)
+  ),
+  rest   : { below: { key: "pressThresholdDown", default: 0.4 } },
+  active : { above: { key: "pressThresholdUp",   default: 1.2 } },
+  action : "Pose",
+  keyPoints: [
+    { index: 11, label: "SL", color: "#0af" },
+    { index: 12, label: "SR", color: "#0af" },
+    { index: 15, label: "WL", color: "#ff0" },
+    { index: 16, label: "WR", color: "#ff0" },
+  ],
+};
+
+/** All built-in definitions by id */
+export const EXERCISES = {
+  [PEC_FLY.id]       : PEC_FLY,
+  [SQUAT.id]         : SQUAT,
+  [OVERHEAD_PRESS.id]: OVERHEAD_PRESS,
+};
@@ -0,0 +1,244 @@
+import { ConfigBase } from "./config_base.js";
+import { i18n, t, LANGUAGES, DEFAULT_LANGUAGE } from "./i18n.js";
+
+/**
+ * GameLauncher
+ * Kiosk hub: one card per registered game, plus the camera and language to use.
+ * The player is picked with a ProfilePicker on the shared ProfileStore, so
+ * it is already selected when the game opens. The camera, language and the
+ * chosen exercise travel to the game in the URL
+ * (?camera=<deviceId>&mode=<exercise>&lang=<language>).
+ *
+ * Usage:
+ *   import { GAMES } from "./games/registry.js";
+ *   new GameLauncher(document.getElementById("launcher"), GAMES);
+ */
+export class GameLauncher {
+  /**
+   * @param {HTMLElement} rootEl  Container the launcher renders into
+   * @param {Array<object>} games  Registry entries (see games/registry.js)
+   */
+  constructor(rootEl, games) {
+    this.root  = rootEl;
+    this.games = games;
+
+    // Remembered between visits, like any game config
+    this.settings = new ConfigBase("treasuregym_launcher", {
+      cameraDeviceId: { type: "string", default: null, nullable: true },
+      language      : { type: "enum",   default: DEFAULT_LANGUAGE, options: LANGUAGES },
+    });
+    i18n.bindConfig(this.settings);
+
+    this._injectStyles();
+    this._buildDOM();
+    this._populateCameras();
+    i18n.onChange(() => this._buildDOM());
+  }
+
+  // --- Styles ----------------------------------------------------------------
+
+  _injectStyles() {
+    const style = document.createElement("style");
+    style.textContent = `
+      .gl-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        flex-wrap: wrap;
+        gap: 12px;
+        margin-bottom: 24px;
+      }
+      .gl-title {
+        font: bold 28px monospace;
+        color: #5cf;
+      }
+      .gl-options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 16px;
+      }
+      .gl-option {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font: 13px monospace;
+        color: #aaa;
+      }
+      .gl-option select {
+        background: #222;
+        color: #eee;
+        border: 1px solid #444;
+        border-radius: 4px;
+        padding: 4px 6px;
+        font: 12px monospace;
+        max-width: 260px;
+      }
+      .gl-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+        gap: 20px;
+      }
+      .gl-card {
+        background: #1a1a1a;
+        border: 1px solid #333;
+        border-radius: 10px;
+        overflow: hidden;
+        display: flex;
+        flex-direction: column;
+      }
+      .gl-card img {
+        width: 100%;
+        aspect-ratio: 16 / 9;
+        object-fit: cover;
+        background: #000;
+      }
+      .gl-body {
+        padding: 12px 14px 14px;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        flex: 1;
+      }
+      .gl-name { font: bold 18px monospace; color: #fff; }
+      .gl-desc { font: 13px sans-serif; color: #aaa; flex: 1; }
+      .gl-play {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+      }
+      .gl-play a {
+        flex: 1;
+        text-align: center;
+        text-decoration: none;
+        background: #023;
+        color: #5cf;
+        border: 1px solid #5cf;
+        border-radius: 6px;
+        padding: 10px 8px;
+        font: bold 14px monospace;
+      }
+      .gl-play a:hover { background: #035; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // --- DOM -------------------------------------------------------------------
+
+  _buildDOM() {
+    // Rebuilt on language change: keep the camera list already loaded
+    const cameraOptions = this.root.querySelector("#gl-camera-select")?.innerHTML
+      ?? `<option value="">${t("camera.loading")}</option>`;
+
+    this.root.innerHTML = `
+      <div class="gl-header">
+        <div class="gl-title">Treasure Gym</div>
+        <div class="gl-options">
+          <label class="gl-option">
+            <span>${t("launcher.language")}</span>
+            <select id="gl-language-select"></select>
+          </label>
+          <label class="gl-option">
+            <span>${t("launcher.camera")}</span>
+            <select id="gl-camera-select">${cameraOptions}</select>
+          </label>
+        </div>
+      </div>
+      <div class="gl-grid"></div>
+    `;
+
+    const grid = this.root.querySelector(".gl-grid");
+    for (const game of this.games) grid.appendChild(this._buildCard(game));
+
+    const langSelect = this.root.querySelector("#gl-language-select");
+    for (const [value, name] of Object.entries(LANGUAGES)) {
+      const opt = document.createElement("option");
+      opt.value       = value;
+      opt.textContent = name;
+      langSelect.appendChild(opt);
+    }
+    langSelect.value = this.settings.get("language");
+    langSelect.addEventListener("change", () => this.settings.set("language", langSelect.value));
+
+    const camSelect = this.root.querySelector("#gl-camera-select");
+    const saved     = this.settings.get("cameraDeviceId");
+    if ([...camSelect.options].some(o => o.value === saved)) camSelect.value = saved;
+    camSelect.addEventListener("change", () => {
+      this.settings.set("cameraDeviceId", camSelect.value || null);
+      this._updateLinks();
+    });
+  }
+
+  _buildCard(game) {
+    const card = document.createElement("div");
+    card.className = "gl-card";
+    card.innerHTML = `
+      <img alt="" />
+      <div class="gl-body">
+        <div class="gl-name"></div>
+        <div class="gl-desc"></div>
+        <div class="gl-play"></div>
+      </div>
+    `;
+    card.querySelector("img").src              = game.thumbnail;
+    card.querySelector(".gl-name").textContent = i18n.pick(game.name);
+    card.querySelector(".gl-desc").textContent = i18n.pick(game.description);
+
+    // One play button per supported exercise
+    const play = card.querySelector(".gl-play");
+    for (const id of game.exercises) {
+      const link = document.createElement("a");
+      link.dataset.entry = game.entry;
+      link.dataset.mode  = id;
+      link.textContent   = "▶ " + t("exercise." + id);
+      play.appendChild(link);
+    }
+    this._updateLinks(card);
+    return card;
+  }
+
+  /** Game URL with the launcher choices as query params */
+  _launchUrl(entry, mode) {
+    const params = new URLSearchParams({ mode, lang: this.settings.get("language") });
+    const camera = this.settings.get("cameraDeviceId");
+    if (camera) params.set("camera", camera);
+    return entry + "?" + params;
+  }
+
+  _updateLinks(scope = this.root) {
+    for (const link of scope.querySelectorAll(".gl-play a")) {
+      link.href = this._launchUrl(link.dataset.entry, link.dataset.mode);
+    }
+  }
+
+  // --- Camera list -----------------------------------------------------------
+
+  async _populateCameras() {
+    // Looked up after each await: a language change rebuilds the header
+    const select = () => this.root.querySelector("#gl-camera-select");
+    try {
+      // Permission first so labels are available; the stream isn't needed here
+      const stream  = await navigator.mediaDevices.getUserMedia({ video: true });
+      stream.getTracks().forEach(track => track.stop());
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const cameras = devices.filter(d => d.kind === "videoinput");
+
+      const el = select();
+      el.innerHTML = "";
+      cameras.forEach((cam, i) => {
+        const opt = document.createElement("option");
+        opt.value       = cam.deviceId;
+        opt.textContent = cam.label || t("camera.numbered", { n: i + 1 });
+        el.appendChild(opt);
+      });
+
+      // Keep the saved camera if it's still connected, else the first one
+      const saved = this.settings.get("cameraDeviceId");
+      el.value = cameras.some(c => c.deviceId === saved) ? saved : (cameras[0]?.deviceId ?? "");
+      this.settings.set("cameraDeviceId", el.value || null);
+    } catch (e) {
+      console.warn("GameLauncher: could not list cameras", e);
+      select().innerHTML = `<option value="">${t("camera.default")}</option>`;
+    }
+    this._updateLinks();
+  }
+}
@@ -0,0 +1,134 @@
+import { SHARED_STRINGS } from "./strings.js";
+
+/**
+ * I18n
+ * Per-language string tables for everything the player reads: canvas text
+ * and DOM widgets alike. Shared widgets use the tables in strings.js, each
+ * game adds its own with add(). The language normally follows a config key
+ * (bindConfig), so it is saved with the rest of the settings.
+ *
+ * Usage:
+ *   import { i18n, t } from "../../shared/i18n.js";
+ *   i18n.add({ es: { "hud.score": "Puntos: {score}" }, en: { "hud.score": "Score: {score}" } });
+ *   i18n.bindConfig(config);             // follows config "language"
+ *   ctx.fillText(t("hud.score", { score: 12 }), x, y);
+ *
+ * DOM built once can be retranslated on language change: give elements a
+ * data-i18n (text), data-i18n-placeholder or data-i18n-title key and call
+ * translate(root) from an onChange listener.
+ *
+ * Missing keys fall back to the default language, then to the key itself.
+ */
+
+/** Supported languages, each named in its own language (for selectors) */
+export const LANGUAGES = { es: "Español", en: "English" };
+
+export const DEFAULT_LANGUAGE = "es";
+
+export class I18n {
+  /**
+   * @param {Object<string, Object<string, string>>} [tables]  { lang: { key: text } }
+   * @param {object} [opts]
+   * @param {string} [opts.language]  Initial language
+   */
+  constructor(tables = {}, { language = DEFAULT_LANGUAGE } = {}) {
+    this._tables    = {};
+    this._language  = language in LANGUAGES ? language : DEFAULT_LANGUAGE;
+    this._listeners = [];
+    this.add(tables);
+  }
+
+  /** Merge more string tables (later keys win) */
+  add(tables) {
+    for (const [lang, strings] of Object.entries(tables)) {
+      this._tables[lang] = { ...this._tables[lang], ...strings };
+    }
+  }
+
+  get language() { return this._language; }
+
+  /**
+   * Switch language and notify listeners. Unknown languages are ignored.
+   * @param {string} lang
+   */
+  setLanguage(lang) {
+    if (!(lang in LANGUAGES)) return;
+    if (typeof document !== "undefined") document.documentElement.lang = lang;
+    if (lang === this._language) return;
+    this._language = lang;
+    for (const fn of this._listeners) fn(lang);
+  }
+
+  /**
+   * Follow a config key holding the language.
+   * @param {import('./config_base.js').ConfigBase} config
+   * @param {string} [key="language"]
+   * @returns {function} unsubscribe function
+   */
+  bindConfig(config, key = "language") {
+    this.setLanguage(config.get(key));
+    return config.onChange((k) => {
+      if (k === key || k === null) this.setLanguage(config.get(key));
+    });
+  }
+
+  /** Whether the key has a text in the current or the default language */
+  has(key) {
+    return key in (this._tables[this._language] ?? {}) || key in (this._tables[DEFAULT_LANGUAGE] ?? {});
+  }
+
+  /**
+   * Text for a key, with {name} placeholders replaced from params.
+   * @param {string} key
+   * @param {object} [params]
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    const text = this._tables[this._language]?.[key] ?? this._tables[DEFAULT_LANGUAGE]?.[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+  }
+
+  /**
+   * Pick the current language from a { lang: text } object (e.g. registry
+   * descriptions). Plain strings are returned as they are.
+   */
+  pick(value) {
+    if (value === null || typeof value !== "object") return value;
+    return value[this._language] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+  }
+
+  /**
+   * Retranslate elements under root that carry data-i18n keys. Keys without
+   * a text are left alone, so the text they were built with stays.
+   * @param {ParentNode} root
+   */
+  translate(root) {
+    for (const el of root.querySelectorAll("[data-i18n]")) {
+      if (this.has(el.dataset.i18n)) el.textContent = this.t(el.dataset.i18n);
+    }
+    for (const el of root.querySelectorAll("[data-i18n-placeholder]")) {
+      if (this.has(el.dataset.i18nPlaceholder)) el.placeholder = this.t(el.dataset.i18nPlaceholder);
+    }
+    for (const el of root.querySelectorAll("[data-i18n-title]")) {
+      if (this.has(el.dataset.i18nTitle)) el.title = this.t(el.dataset.i18nTitle);
+    }
+  }
+
+  /**
+   * Subscribe to language changes.
+   * @param {function(lang: string): void} fn
+   * @returns {function} unsubscribe function
+   */
+  onChange(fn) {
+    this._listeners.push(fn);
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn);
+    };
+  }
+}
+
+/** One instance per page: shared widgets and the game add to the same tables */
+export const i18n = new I18n(SHARED_STRINGS);
+
+/** Shorthand for i18n.t */
+export const t = (key, params) => i18n.t(key, params);
@@ -1,46 +1,137 @@
+/**
+ * Gamepad button codes by index in the "standard" layout. Pads without that
+ * mapping (foot pedals, arcade buttons) get the same names by index, so a
+ * one-button pedal reports "GamepadA"; buttons past the table are
+ * "GamepadButton<i>".
+ */
+export const GAMEPAD_BUTTONS = [
+  "GamepadA", "GamepadB", "GamepadX", "GamepadY",
+  "GamepadLB", "GamepadRB", "GamepadLT", "GamepadRT",
+  "GamepadBack", "GamepadStart", "GamepadLS", "GamepadRS",
+  "GamepadUp", "GamepadDown", "GamepadLeft", "GamepadRight",
+  "GamepadHome",
+];
+
+/** Mouse button codes by MouseEvent.button */
+const MOUSE_BUTTONS = ["MouseLeft", "MouseMiddle", "MouseRight"];
+
+// Analog buttons (triggers) press above PRESS and release below RELEASE, so
+// a trigger resting near the threshold doesn't chatter
+const ANALOG_PRESS   = 0.15;
+const ANALOG_RELEASE = 0.08;
+
+/**
+ * Which kind of device a code comes from.
+ * @param {string} code
+ * @returns {"keyboard"|"touch"|"mouse"|"gamepad"|"pose"}
+ */
+export function sourceOf(code) {
+  if (code.startsWith("Gamepad")) return "gamepad";
+  if (code.startsWith("Mouse"))   return "mouse";
+  if (code.startsWith("Pose"))    return "pose";
+  if (code.startsWith("Touch") || code === "Tap" || code === "TwoFingerTap") return "touch";
+  return "keyboard";
+}
+
 /**
  * InputHandler
  * Centralizes all input sources.
+ * Every source reports codes with the same held / justPressed / justReleased
+ * model:
+ *   keyboard  KeyboardEvent.code ("Space", "Enter", "KeyP"...)
+ *   touch     "Touch" while any finger is down, "TouchLeft" / "TouchRight"
+ *             per screen half, edge-only "Tap" and "TwoFingerTap"
+ *   mouse     "MouseLeft", "MouseMiddle", "MouseRight"
+ *   gamepad   GAMEPAD_BUTTONS; polled, so call poll() once per frame
+ *   pose      "Pose" while the exercise is in its active position, edge-only
+ *             "Pose<Gesture>" for gestures (see triggerGesture)
+ *
+ * Games read named actions rather than codes: bind() maps an action
+ * ("jump", "pause", "confirm", "menu"...) to any codes, and the action is
+ * pressed when the first of them goes down and released when the last one
+ * comes up. actionSource() tells which code and device triggered it.
+ *
+ * Usage:
+ *   const input = new InputHandler({ jump: ["Space", "Touch", "Pose"], pause: ["Escape", "GamepadStart"] });
+ *   if (input.isActionJustPressed("pause")) ...
+ *   input.bind("jump", [...input.bindings.jump, "MouseLeft"]);
  */
 export class InputHandler {
-  constructor() {
+  /**
+   * @param {Object<string, string[]>} [bindings]  action -> codes
+   */
+  constructor(bindings = {}) {
     this._keys         = new Set();
     this._justPressed  = new Set();
     this._justReleased = new Set();
+    this._pressOrder   = new Map(); // code -> sequence number of its last press
+    this._pressCount   = 0;
+    this._bindings     = {};
+    this._touchHeld    = new Set(); // touch codes held by the fingers down
+    this._padHeld      = new Set(); // gamepad codes held at the last poll, over all pads
+    this._padValues    = new Map(); // gamepad code -> analog value 0..1
+    this._pads         = new Map(); // index -> id of connected gamepads
+    this.setBindings(bindings);
 
     window.addEventListener("keydown", (e) => {
-      if (!this._keys.has(e.code)) this._justPressed.add(e.code);
-      this._keys.add(e.code);
+      if (this._isTextField(e.target)) return;
+      this.triggerPress(e.code);
     });
 
     window.addEventListener("keyup", (e) => {
+      if (this._isTextField(e.target) && !this._keys.has(e.code)) return;
       this._keys.delete(e.code);
       this._justReleased.add(e.code);
     });
 
     // --- Touch ---
-    // Any finger touching the screen = hold Space
-    // Prevents default to avoid scroll/zoom interference
+    // "Touch" is held while any finger is down, "TouchLeft" / "TouchRight"
+    // while one is on that half of the screen.
+    // Also reports edge-only virtual codes for menus:
+    //   "Tap"           a touch started
+    //   "TwoFingerTap"  a second finger joined
+    // Prevents default to avoid scroll/zoom interference (and the mouse
+    // events browsers would emulate afterwards)
     window.addEventListener("touchstart", (e) => {
       if (this._isUIElement(e.target)) return;
       e.preventDefault();
-      this._justPressed.add("Space");
-      this._keys.add("Space");
+      this._syncTouches(e.touches);
+      this.triggerTap(e.touches.length >= 2 ? "TwoFingerTap" : "Tap");
     }, { passive: false });
 
+    window.addEventListener("touchmove", (e) => {
+      if (this._isUIElement(e.target)) return;
+      this._syncTouches(e.touches);
+    });
+
     window.addEventListener("touchend", (e) => {
       if (this._isUIElement(e.target)) return;
       e.preventDefault();
-      // Only release when all fingers are lifted
-      if (e.touches.length === 0) {
-        this._keys.delete("Space");
-        this._justReleased.add("Space");
-      }
+      this._syncTouches(e.touches);
     }, { passive: false });
 
     window.addEventListener("touchcancel", (e) => {
-      this._keys.delete("Space");
-      this._justReleased.add("Space");
+      this._syncTouches(e.touches);
+    });
+
+    // --- Mouse ---
+    window.addEventListener("mousedown", (e) => {
+      if (this._isUIElement(e.target) || !MOUSE_BUTTONS[e.button]) return;
+      this.triggerPress(MOUSE_BUTTONS[e.button]);
+    });
+
+    window.addEventListener("mouseup", (e) => {
+      if (MOUSE_BUTTONS[e.button]) this.triggerRelease(MOUSE_BUTTONS[e.button]);
+    });
+
+    // --- Gamepad ---
+    // Hot-plug: buttons of a pad that goes away are released on the next poll
+    window.addEventListener("gamepadconnected", (e) => {
+      this._pads.set(e.gamepad.index, e.gamepad.id);
+    });
+
+    window.addEventListener("gamepaddisconnected", (e) => {
+      this._pads.delete(e.gamepad.index);
     });
   }
 
@@ -53,15 +144,91 @@ export class InputHandler {
     if (!(target instanceof Element)) return false;
     return (
       target.closest("#debug-panel") !== null ||
-      target.closest("#debug-toggle") !== null
+      target.closest("#debug-toggle") !== null ||
+      target.closest("#calibration-wizard") !== null ||
+      target.closest("#profile-picker") !== null
     );
   }
 
+  /**
+   * True for form fields that take typed text, so typing a name
+   * doesn't press game keys.
+   * @param {EventTarget} target
+   */
+  _isTextField(target) {
+    if (!(target instanceof Element)) return false;
+    return target.matches("input[type=text], input[type=number], input:not([type]), textarea, [contenteditable]");
+  }
+
+  /** Press / release touch codes to match the fingers now on the screen */
+  _syncTouches(touches) {
+    const held = new Set();
+    for (const touch of touches) {
+      held.add("Touch");
+      held.add(touch.clientX < window.innerWidth / 2 ? "TouchLeft" : "TouchRight");
+    }
+    this._syncHeld(this._touchHeld, held);
+    this._touchHeld = held;
+  }
+
+  /** Release codes in before but not in now, press codes new in now */
+  _syncHeld(before, now) {
+    for (const code of before) {
+      if (!now.has(code)) this.triggerRelease(code);
+    }
+    for (const code of now) {
+      if (!before.has(code)) this.triggerPress(code);
+    }
+  }
+
+  // --- Gamepad polling ------------------------------------------------------
+
+  /** Ids of the connected gamepads */
+  get gamepads() { return [...this._pads.values()]; }
+
+  /**
+   * Read the connected gamepads and turn button changes into presses and
+   * releases. The Gamepad API has no button events, so call this once per
+   * frame before the game reads input.
+   */
+  poll() {
+    if (this._pads.size === 0 && this._padHeld.size === 0) return;
+    const pads   = navigator.getGamepads?.() ?? [];
+    const held   = new Set();
+    const values = new Map();
+
+    for (const pad of pads) {
+      if (!pad?.connected) continue;
+      pad.buttons.forEach((button, i) => {
+        const code  = GAMEPAD_BUTTONS[i] ?? `GamepadButton${i}`;
+        const value = Math.max(button.value, button.pressed ? 1 : 0, values.get(code) ?? 0);
+        values.set(code, value);
+        const threshold = this._padHeld.has(code) ? ANALOG_RELEASE : ANALOG_PRESS;
+        if (button.pressed || value > threshold) held.add(code);
+      });
+    }
+
+    this._syncHeld(this._padHeld, held);
+    this._padHeld   = held;
+    this._padValues = values;
+  }
+
+  /**
+   * How far a gamepad button is pushed, 0..1. Digital buttons (and keys)
+   * read 0 or 1; triggers report their depth.
+   * @param {string} code
+   */
+  value(code) {
+    return this._padValues.get(code) ?? (this._keys.has(code) ? 1 : 0);
+  }
+
   // --- Public trigger API (used by CameraInput) ------------------------------
   /** Simulate a key press — safe to call even if already pressed */
   triggerPress(code) {
-    if (!this._keys.has(code)) this._justPressed.add(code);
+    if (this._keys.has(code)) return;
+    this._justPressed.add(code);
     this._keys.add(code);
+    this._pressOrder.set(code, ++this._pressCount);
   }
 
   /** Simulate a key release */
@@ -72,6 +239,22 @@ export class InputHandler {
     }
   }
 
+  /** Edge-only press: just pressed and just released this frame, never held */
+  triggerTap(code) {
+    this._justPressed.add(code);
+    this._justReleased.add(code);
+    this._pressOrder.set(code, ++this._pressCount);
+  }
+
+  /**
+   * Report a pose gesture as the edge-only code "Pose" + Name,
+   * e.g. "handsUp" -> "PoseHandsUp".
+   * @param {string} name  CameraBase gesture name
+   */
+  triggerGesture(name) {
+    this.triggerTap("Pose" + name[0].toUpperCase() + name.slice(1));
+  }
+
   /** True only on the first frame the key goes down */
   isJustPressed(code)  { return this._justPressed.has(code); }
 
@@ -81,6 +264,73 @@ export class InputHandler {
   /** True every frame the key is held */
   isHeld(code)         { return this._keys.has(code); }
 
+  // --- Actions --------------------------------------------------------------
+
+  /** Current bindings, action -> codes */
+  get bindings() {
+    return Object.fromEntries(Object.entries(this._bindings).map(([action, codes]) => [action, [...codes]]));
+  }
+
+  /**
+   * Bind an action to codes, replacing its previous bindings.
+   * @param {string} action
+   * @param {string[]} codes
+   */
+  bind(action, codes) {
+    this._bindings[action] = [...codes];
+  }
+
+  /** @param {Object<string, string[]>} bindings  action -> codes, replaces all */
+  setBindings(bindings) {
+    this._bindings = {};
+    for (const [action, codes] of Object.entries(bindings)) this.bind(action, codes);
+  }
+
+  _codes(action) {
+    const codes = this._bindings[action];
+    if (!codes) console.warn(`InputHandler: unbound action "${action}"`);
+    return codes ?? [];
+  }
+
+  /** True every frame any code of the action is held */
+  isActionHeld(action) {
+    return this._codes(action).some(code => this.isHeld(code));
+  }
+
+  /** True on the frame the first of the action's codes goes down */
+  isActionJustPressed(action) {
+    const codes = this._codes(action);
+    const heldBefore = codes.some(code =>
+      !this.isJustPressed(code) && (this.isHeld(code) || this.isJustReleased(code)));
+    return !heldBefore && codes.some(code => this.isJustPressed(code));
+  }
+
+  /** True on the frame the last of the action's held codes comes up */
+  isActionJustReleased(action) {
+    const codes = this._codes(action);
+    return codes.some(code => this.isJustReleased(code)) && !codes.some(code => this.isHeld(code));
+  }
+
+  /** Deepest analog value among the action's codes, 0..1 (see value()) */
+  actionValue(action) {
+    return Math.max(0, ...this._codes(action).map(code => this.value(code)));
+  }
+
+  /**
+   * What triggered the action: the most recently pressed of its codes that
+   * is pressed or held this frame.
+   * @param {string} action
+   * @returns {{code: string, source: string}|null} null when the action is idle
+   */
+  actionSource(action) {
+    let best = null;
+    for (const code of this._codes(action)) {
+      if (!this.isJustPressed(code) && !this.isHeld(code)) continue;
+      if (best === null || this._pressOrder.get(code) > this._pressOrder.get(best)) best = code;
+    }
+    return best === null ? null : { code: best, source: sourceOf(best) };
+  }
+
   /** Call at the END of every game tick */
   flush() {
     this._justPressed.clear();
@@ -0,0 +1,127 @@
+/**
+ * LandmarkFilter
+ * Per-landmark smoothing of MediaPipe pose points (x, y, z) to remove the
+ * frame-to-frame jitter of cheap webcams.
+ *
+ * Modes:
+ *    "none"     pass-through
+ *    "ema"      exponential moving average, fixed alpha (0..1, higher = less smoothing)
+ *    "oneEuro"  One-Euro filter: smooths hard when still, follows fast moves
+ *               with little lag (Casiez et al., CHI 2012)
+ *
+ * Usage:
+ *   const filter = new LandmarkFilter({ mode: "oneEuro", minCutoff: 1.0, beta: 5 });
+ *   const smoothed = filter.apply(results.poseLandmarks, performance.now());
+ *   filter.reset(); // when tracking is lost
+ */
+export class LandmarkFilter {
+  /**
+   * @param {object} opts
+   * @param {"none"|"ema"|"oneEuro"} opts.mode
+   * @param {number} [opts.alpha=0.5]      EMA smoothing factor
+   * @param {number} [opts.minCutoff=1.0]  One-Euro minimum cutoff frequency (Hz)
+   * @param {number} [opts.beta=5]         One-Euro speed coefficient
+   */
+  constructor({ mode = "oneEuro", alpha = 0.5, minCutoff = 1.0, beta = 5 } = {}) {
+    this.mode      = mode;
+    this.alpha     = alpha;
+    this.minCutoff = minCutoff;
+    this.beta      = beta;
+    this._filters  = [];
+  }
+
+  /** Forget history (call when the pose is lost) */
+  reset() {
+    this._filters = [];
+  }
+
+  /**
+   * @param {Array<{x:number, y:number, z:number, visibility:number}>} landmarks
+   * @param {number} t  Timestamp in ms
+   * @returns {Array<{x:number, y:number, z:number, visibility:number}>} new filtered array
+   */
+  apply(landmarks, t) {
+    if (this.mode === "none") return landmarks;
+
+    return landmarks.map((lm, i) => {
+      if (!this._filters[i]) this._filters[i] = this._createAxes();
+      const f = this._filters[i];
+      return {
+        ...lm,
+        x: f.x.filter(lm.x, t),
+        y: f.y.filter(lm.y, t),
+        z: f.z.filter(lm.z ?? 0, t),
+      };
+    });
+  }
+
+  _createAxes() {
+    const make = () => this.mode === "ema"
+      ? new ExponentialFilter(this.alpha)
+      : new OneEuroFilter(this.minCutoff, this.beta);
+    return { x: make(), y: make(), z: make() };
+  }
+}
+
+/** Scalar exponential moving average */
+export class ExponentialFilter {
+  constructor(alpha) {
+    this.alpha = alpha;
+    this._prev = null;
+  }
+
+  filter(x) {
+    this._prev = this._prev === null ? x : this.alpha * x + (1 - this.alpha) * this._prev;
+    return this._prev;
+  }
+}
+
+/** Scalar One-Euro filter */
+export class OneEuroFilter {
+  /**
+   * @param {number} minCutoff  Hz
+   * @param {number} beta
+   * @param {number} dCutoff    Cutoff for the derivative, Hz
+   */
+  constructor(minCutoff, beta, dCutoff = 1.0) {
+    this.minCutoff = minCutoff;
+    this.beta      = beta;
+    this.dCutoff   = dCutoff;
+    this._prevX    = null;
+    this._prevDx   = 0;
+    this._prevT    = null;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} t  Timestamp in ms
+   */
+  filter(x, t) {
+    if (this._prevX === null) {
+      this._prevX = x;
+      this._prevT = t;
+      return x;
+    }
+
+    const dt = Math.max((t - this._prevT) / 1000, 1e-3);
+    this._prevT = t;
+
+    const dx      = (x - this._prevX) / dt;
+    const dxHat   = this._lerp(dx, this._prevDx, this._alpha(this.dCutoff, dt));
+    const cutoff  = this.minCutoff + this.beta * Math.abs(dxHat);
+    const xHat    = this._lerp(x, this._prevX, this._alpha(cutoff, dt));
+
+    this._prevX  = xHat;
+    this._prevDx = dxHat;
+    return xHat;
+  }
+
+  _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  _lerp(x, prev, a) {
+    return a * x + (1 - a) * prev;
+  }
+}
@@ -0,0 +1,123 @@
+import { PoseProvider } from "./pose_provider.js";
+
+const DEFAULT_MODEL_URL = "https://cdn.jsdelivr.net/npm/@mediapipe/pose/";
+
+/**
+ * MediaPipePoseProvider
+ * Webcam + MediaPipe Pose (the legacy @mediapipe/pose solution).
+ * Owns the camera stream: start, stop and switching device.
+ *
+ * Expects pose.js to be loaded with a <script> tag (window.Pose);
+ * model files are fetched from modelBaseUrl.
+ */
+export class MediaPipePoseProvider extends PoseProvider {
+  /**
+   * @param {HTMLVideoElement} videoEl
+   * @param {object} [opts]
+   * @param {string|null} [opts.deviceId]         Camera deviceId, null = default front camera
+   * @param {number}      [opts.modelComplexity]  0, 1 or 2
+   * @param {string}      [opts.modelBaseUrl]     Where pose model files are loaded from
+   */
+  constructor(videoEl, { deviceId = null, modelComplexity = 1, modelBaseUrl = DEFAULT_MODEL_URL } = {}) {
+    super();
+    this.video           = videoEl;
+    this.deviceId        = deviceId;
+    this.modelComplexity = modelComplexity;
+    this.modelBaseUrl    = modelBaseUrl;
+
+    this._pose    = null;
+    this._stream  = null;
+    this._ready   = false;
+    this._running = false;
+  }
+
+  // Lifecycle
+
+  async start() {
+    this._running = true;
+    if (!this._pose) this._initPose();
+    await this._startCamera();
+  }
+
+  stop() {
+    this._running = false;
+    this._ready   = false;
+    if (this._stream) {
+      this._stream.getTracks().forEach(t => t.stop());
+      this._stream = null;
+    }
+  }
+
+  async setOptions({ deviceId = this.deviceId, modelComplexity = this.modelComplexity } = {}) {
+    const changed = deviceId !== this.deviceId || modelComplexity !== this.modelComplexity;
+    this.deviceId        = deviceId;
+    this.modelComplexity = modelComplexity;
+    if (!changed || !this._running) return;
+
+    this._ready = false;
+    await this._pose.setOptions({ modelComplexity });
+    await this._startCamera();
+  }
+
+  get isReady() { return this._ready; }
+
+  get connections() { return window.POSE_CONNECTIONS || super.connections; }
+
+  // Setup
+
+  _initPose() {
+    const { Pose } = window;
+    if (!Pose) throw new Error("MediaPipePoseProvider: window.Pose not found, load pose.js first");
+
+    this._pose = new Pose({
+      locateFile: (file) => this.modelBaseUrl + file
+    });
+
+    this._pose.setOptions({
+      modelComplexity       : this.modelComplexity,
+      smoothLandmarks       : false, // CameraBase does its own filtering
+      enableSegmentation    : false,
+      minDetectionConfidence: 0.6,
+      minTrackingConfidence : 0.6,
+    });
+
+    this._pose.onResults((results) => this._emit({ poseLandmarks: results.poseLandmarks }));
+  }
+
+  async _startCamera() {
+    try {
+      if (this._stream) {
+        this._stream.getTracks().forEach(t => t.stop());
+        this._stream = null;
+      }
+
+      const videoConstraints = this.deviceId
+        ? { deviceId: { exact: this.deviceId } }
+        : { facingMode: "user" };
+
+      this._stream = await navigator.mediaDevices.getUserMedia({
+        video: videoConstraints,
+        audio: false,
+      });
+
+      this.video.srcObject = this._stream;
+      this.video.play();
+
+      this.video.addEventListener("loadeddata", () => {
+        this._ready = true;
+        this._processLoop();
+      }, { once: true });
+
+    } catch (err) {
+      console.error("MediaPipePoseProvider: stream error:", err);
+    }
+  }
+
+  // Frame loop
+
+  async _processLoop() {
+    if (!this._ready || !this._running) return;
+    await this._pose.send({ image: this.video });
+    requestAnimationFrame(() => this._processLoop());
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * PoseProvider
+ * Interface between CameraBase and whatever produces pose landmarks.
+ * CameraBase never talks to a pose model directly, so games built on it can
+ * run from a webcam (MediaPipePoseProvider), a script or a recording
+ * (ScriptedPoseProvider), or another model later on, without changes.
+ *
+ * Normalized result format, emitted once per frame:
+ *   results = { poseLandmarks: Landmark[33] | undefined }
+ *   Landmark = { x, y, z, visibility }
+ *     x, y        0..1, relative to the image (origin top-left, not mirrored)
+ *     z           depth relative to the hips, same scale as x
+ *     visibility  0..1 confidence
+ *   Indices follow the 33-point BlazePose topology (11/12 shoulders,
+ *   15/16 wrists, 23/24 hips, 25/26 knees, ...). poseLandmarks is undefined
+ *   when no person is detected in the frame.
+ *
+ * Implementations extend this class and call this._emit(results, t).
+ */
+export class PoseProvider {
+  constructor() {
+    this._listeners = [];
+  }
+
+  /**
+   * Subscribe to results.
+   * @param {function(results: {poseLandmarks?: Array}, t: number): void} fn  t = frame timestamp in ms
+   * @returns {function} unsubscribe function
+   */
+  onResults(fn) {
+    this._listeners.push(fn);
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn);
+    };
+  }
+
+  /** Begin producing results */
+  async start() {}
+
+  /** Stop producing results and release resources (camera, timers) */
+  stop() {}
+
+  /**
+   * Update provider-specific options (device, model complexity, ...).
+   * Unknown keys are ignored.
+   * @param {object} opts
+   */
+  async setOptions(opts) {}
+
+  /** True once results are flowing */
+  get isReady() { return false; }
+
+  /** Skeleton bones as [a, b] landmark index pairs, for drawing */
+  get connections() { return POSE_CONNECTIONS; }
+
+  _emit(results, t = performance.now()) {
+    for (const fn of this._listeners) fn(results, t);
+  }
+}
+
+export const POSE_LANDMARK_COUNT = 33;
+
+/** BlazePose skeleton (same as MediaPipe's POSE_CONNECTIONS) */
+export const POSE_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],
+  [11, 12], [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],
+  [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],
+  [11, 23], [12, 24], [23, 24], [23, 25], [24, 26], [25, 27], [26, 28],
+  [27, 29], [28, 30], [29, 31], [30, 32], [27, 31], [28, 32],
+];
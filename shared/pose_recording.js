@@ -0,0 +1,100 @@
+import { downloadText } from "./download.js";
+
+/**
+ * Pose recordings
+ * Timestamped MediaPipe landmark streams saved as JSON, so a session can be
+ * replayed through CameraBase without a webcam (bug repros, regression
+ * fixtures for threshold logic, demos).
+ *
+ * File format (version 1):
+ *   {
+ *     version  : 1,
+ *     createdAt: "2026-01-01T10:00:00.000Z",
+ *     frames   : [
+ *       { t: 0,  landmarks: [[x, y, z, visibility], ...33] },
+ *       { t: 33, landmarks: null },    // no pose detected in this frame
+ *       ...
+ *     ]
+ *   }
+ * t is milliseconds since the first frame. Landmarks are raw (unfiltered),
+ * so a replay goes through the same smoothing as the live camera.
+ */
+
+export const RECORDING_VERSION = 1;
+
+/** Collects frames while recording */
+export class PoseRecorder {
+  constructor() {
+    this.frames    = [];
+    this.createdAt = new Date().toISOString();
+    this._startT   = null;
+  }
+
+  /**
+   * @param {Array<{x:number, y:number, z:number, visibility:number}>|undefined} landmarks
+   * @param {number} t  Timestamp in ms
+   */
+  addFrame(landmarks, t) {
+    if (this._startT === null) this._startT = t;
+    this.frames.push({
+      t        : Math.round(t - this._startT),
+      landmarks: landmarks ? landmarks.map(encodeLandmark) : null,
+    });
+  }
+
+  get duration() {
+    return this.frames.length ? this.frames[this.frames.length - 1].t / 1000 : 0;
+  }
+
+  toJSON() {
+    return {
+      version  : RECORDING_VERSION,
+      createdAt: this.createdAt,
+      frames   : this.frames,
+    };
+  }
+}
+
+/**
+ * Validate a parsed recording file.
+ * @param {object} data
+ * @returns {{version:number, createdAt:string, frames:Array<{t:number, landmarks:Array|null}>}}
+ */
+export function parseRecording(data) {
+  if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames)) {
+    throw new Error("Not a pose recording (expected version " + RECORDING_VERSION + ")");
+  }
+  if (data.frames.length === 0) throw new Error("Recording has no frames");
+  return data;
+}
+
+/**
+ * Convert a stored frame back into a MediaPipe-like results object.
+ * @param {{t:number, landmarks:Array|null}} frame
+ */
+export function frameToResults(frame) {
+  return {
+    poseLandmarks: frame.landmarks ? frame.landmarks.map(decodeLandmark) : undefined,
+  };
+}
+
+/** Read a recording from an <input type=file> File */
+export async function readRecordingFile(file) {
+  return parseRecording(JSON.parse(await file.text()));
+}
+
+/** Trigger a browser download of the recording */
+export function downloadRecording(recorder, filename = null) {
+  const name = filename || "pose-" + recorder.createdAt.replace(/[:.]/g, "-") + ".json";
+  downloadText(name, JSON.stringify(recorder));
+}
+
+// Compact [x, y, z, visibility] arrays keep files small
+function encodeLandmark(lm) {
+  const r = (v) => Math.round((v ?? 0) * 1e5) / 1e5;
+  return [r(lm.x), r(lm.y), r(lm.z), r(lm.visibility ?? 1)];
+}
+
+function decodeLandmark([x, y, z, visibility]) {
+  return { x, y, z, visibility };
+}
@@ -0,0 +1,206 @@
+import { AVATAR_COLORS } from "./profile_store.js";
+import { i18n, t } from "./i18n.js";
+
+/**
+ * ProfilePicker
+ * Small DOM widget to pick, create and delete local profiles.
+ * Shows the active player as a colored chip in the bottom-left corner;
+ * clicking it opens the list.
+ *
+ * Usage:
+ *   new ProfilePicker(profileStore);
+ */
+export class ProfilePicker {
+  /**
+   * @param {import('./profile_store.js').ProfileStore} store
+   */
+  constructor(store) {
+    this.store = store;
+
+    this._injectStyles();
+    this._buildDOM();
+    this._render();
+    store.onChange(() => this._render());
+    i18n.onChange(() => this._render());
+  }
+
+  // --- Styles ----------------------------------------------------------------
+
+  _injectStyles() {
+    const style = document.createElement("style");
+    style.textContent = `
+      #profile-picker {
+        position: fixed;
+        bottom: 12px;
+        left: 12px;
+        z-index: 1000;
+        font: 13px monospace;
+        color: #eee;
+      }
+      .pp-chip {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        background: rgba(0,0,0,0.7);
+        color: #fff;
+        border: 1px solid #555;
+        border-radius: 8px;
+        padding: 6px 12px;
+        font: bold 14px monospace;
+        cursor: pointer;
+      }
+      .pp-chip:hover { background: rgba(60,60,60,0.9); }
+      .pp-avatar {
+        width: 14px;
+        height: 14px;
+        border-radius: 50%;
+        flex: none;
+      }
+      .pp-menu {
+        display: none;
+        position: absolute;
+        bottom: 40px;
+        left: 0;
+        width: 240px;
+        background: rgba(15,15,15,0.95);
+        border: 1px solid #333;
+        border-radius: 8px;
+        padding: 8px;
+      }
+      #profile-picker.open .pp-menu { display: block; }
+      .pp-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      .pp-item:hover, .pp-item.active { background: #222; }
+      .pp-name { flex: 1; }
+      .pp-best { color: #fa0; }
+      .pp-delete {
+        background: none;
+        border: none;
+        color: #f44;
+        cursor: pointer;
+      }
+      .pp-new {
+        display: flex;
+        gap: 6px;
+        margin-top: 8px;
+        padding-top: 8px;
+        border-top: 1px solid #333;
+      }
+      .pp-new input[type=text] {
+        flex: 1;
+        min-width: 0;
+        background: #222;
+        color: #eee;
+        border: 1px solid #444;
+        border-radius: 4px;
+        padding: 4px 6px;
+        font: 12px monospace;
+      }
+      .pp-new input[type=color] {
+        width: 28px;
+        padding: 0;
+        border: none;
+        background: none;
+      }
+      .pp-new button {
+        background: #023;
+        color: #5cf;
+        border: 1px solid #5cf;
+        border-radius: 4px;
+        font: bold 12px monospace;
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // --- DOM -------------------------------------------------------------------
+
+  _buildDOM() {
+    this._root = document.createElement("div");
+    this._root.id = "profile-picker";
+    this._root.innerHTML = `
+      <div class="pp-menu">
+        <div class="pp-list"></div>
+        <form class="pp-new">
+          <input type="text" maxlength="16" />
+          <input type="color" />
+          <button type="submit">+</button>
+        </form>
+      </div>
+      <button class="pp-chip">
+        <span class="pp-avatar"></span>
+        <span class="pp-chip-name"></span>
+      </button>
+    `;
+    document.body.appendChild(this._root);
+
+    this._root.querySelector(".pp-chip")
+      .addEventListener("click", () => this._root.classList.toggle("open"));
+
+    this._root.querySelector(".pp-new").addEventListener("submit", (e) => {
+      e.preventDefault();
+      const nameInput  = e.target.querySelector("input[type=text]");
+      const colorInput = e.target.querySelector("input[type=color]");
+      if (!nameInput.value.trim()) return;
+      this.store.create(nameInput.value, colorInput.value);
+      nameInput.value = "";
+      this.close();
+    });
+
+    this._root.querySelector(".pp-list").addEventListener("click", (e) => {
+      const item = e.target.closest(".pp-item");
+      if (!item) return;
+      const id = item.dataset.id || null;
+
+      if (e.target.closest(".pp-delete")) {
+        const p = this.store.list().find(p => p.id === id);
+        if (p && confirm(t("profile.deleteConfirm", { name: p.name }))) this.store.remove(id);
+        return;
+      }
+      this.store.select(id);
+      this.close();
+    });
+  }
+
+  _render() {
+    const active = this.store.active;
+    const list   = this.store.list();
+
+    this._root.querySelector(".pp-avatar").style.background = active ? active.color : "#777";
+    this._root.querySelector(".pp-chip-name").textContent  = active ? active.name : t("profile.guest");
+    this._root.querySelector(".pp-new input[type=text]").placeholder = t("profile.newPlaceholder");
+
+    const rows = [{ id: "", name: t("profile.guest"), color: "#777", bestScore: null }, ...list];
+    const listEl = this._root.querySelector(".pp-list");
+    listEl.innerHTML = "";
+    for (const p of rows) {
+      const item = document.createElement("div");
+      item.className  = "pp-item" + ((active?.id ?? "") === p.id ? " active" : "");
+      item.dataset.id = p.id;
+      item.innerHTML  = `
+        <span class="pp-avatar" style="background:${p.color}"></span>
+        <span class="pp-name"></span>
+        ${p.bestScore !== null ? `<span class="pp-best">★ ${p.bestScore}</span>` : ""}
+        ${p.id ? `<button class="pp-delete" title="${t("profile.delete")}">✕</button>` : ""}
+      `;
+      item.querySelector(".pp-name").textContent = p.name;
+      listEl.appendChild(item);
+    }
+
+    // Suggest the next unused color for new profiles
+    const used = list.map(p => p.color);
+    this._root.querySelector(".pp-new input[type=color]").value =
+      AVATAR_COLORS.find(c => !used.includes(c)) || AVATAR_COLORS[0];
+  }
+
+  close() {
+    this._root.classList.remove("open");
+  }
+}
@@ -0,0 +1,255 @@
+import { t } from "./i18n.js";
+
+/**
+ * ProfileStore
+ * Local player profiles for shared kiosks: name, avatar color, best score,
+ * run history and per-person settings (e.g. calibration thresholds).
+ * Persisted in localStorage the same way as ConfigBase.
+ *
+ * All games share one store (SHARED_PROFILES_KEY) so a player picked in the
+ * launcher is already selected inside every game. Each game opens it with its
+ * own id: best score, runs, leaderboard and settings are scoped to that game.
+ * Without a game id (the launcher) best score and runs cover every game.
+ *
+ * Usage:
+ *   const profiles = new ProfileStore(SHARED_PROFILES_KEY, { game: "my-game" });
+ *   const ana = profiles.create("Ana", "#f80");
+ *   profiles.select(ana.id);
+ *   profiles.recordRun({ score: 12, reps: 14 });
+ *   profiles.leaderboard();   // top 10 runs of this game across all profiles
+ */
+
+/** Runs kept per profile and game (oldest dropped first) */
+const MAX_RUNS = 50;
+
+/** Settings/best score slot used when the store has no game id */
+const ANY_GAME = "*";
+
+export const SHARED_PROFILES_KEY = "treasuregym_profiles";
+
+/** Avatar colors, 6-digit hex: <input type=color> only accepts that form */
+export const AVATAR_COLORS = ["#55ccff", "#ff8800", "#88ff44", "#ff44aa", "#ffdd33", "#aa88ff", "#44ffcc", "#ff5555"];
+
+export class ProfileStore {
+  /**
+   * @param {string} storageKey  localStorage key of the profiles
+   * @param {object} [opts]
+   * @param {string} [opts.game]       Game id that scores, runs and settings belong to
+   * @param {string} [opts.legacyKey]  Older per-game key imported when storageKey is still empty
+   */
+  constructor(storageKey, { game = null, legacyKey = null } = {}) {
+    this._storageKey = storageKey;
+    this._game       = game;
+    this._legacyKey  = legacyKey;
+    this._data       = this._load();
+    this._listeners  = [];
+  }
+
+  /** Game id this store is scoped to, null = all games */
+  get game() { return this._game; }
+
+  // Persistence
+
+  _load() {
+    const empty = { activeId: null, profiles: [] };
+    if (typeof localStorage === "undefined") return empty;
+    try {
+      const saved = localStorage.getItem(this._storageKey);
+      if (saved) return this._migrate({ ...empty, ...JSON.parse(saved) });
+
+      const legacy = this._legacyKey && localStorage.getItem(this._legacyKey);
+      if (legacy) {
+        const data = this._migrate({ ...empty, ...JSON.parse(legacy) });
+        localStorage.setItem(this._storageKey, JSON.stringify(data));
+        return data;
+      }
+    } catch (e) {
+      console.warn("ProfileStore: could not read localStorage", e);
+    }
+    return empty;
+  }
+
+  /** Per-game profiles (flat bestScore/settings) belong to this store's game */
+  _migrate(data) {
+    const scope = this._scope;
+    for (const p of data.profiles) {
+      if (p.bestScores) continue;
+      p.bestScores = { [scope]: p.bestScore ?? 0 };
+      p.settings   = { [scope]: p.settings ?? {} };
+      p.runs       = (p.runs ?? []).map(r => ({ game: this._game, ...r }));
+      delete p.bestScore;
+    }
+    return data;
+  }
+
+  _save() {
+    if (typeof localStorage === "undefined") return;
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(this._data));
+    } catch (e) {
+      console.warn("ProfileStore: could not write localStorage", e);
+    }
+  }
+
+  // Profiles
+
+  /** All profiles (readonly copies, scoped to this store's game) */
+  list() {
+    return this._data.profiles.map(p => this._view(p));
+  }
+
+  /** The selected profile, or null when playing as guest */
+  get active() {
+    const p = this._find(this._data.activeId);
+    return p ? this._view(p) : null;
+  }
+
+  /**
+   * Create and select a new profile.
+   * @param {string} name
+   * @param {string} [color]  CSS color, defaults to the next unused avatar color
+   */
+  create(name, color = null) {
+    const used    = this._data.profiles.map(p => p.color);
+    const profile = {
+      id       : Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name     : name.trim() || t("profile.defaultName"),
+      color    : color || AVATAR_COLORS.find(c => !used.includes(c)) || AVATAR_COLORS[0],
+      createdAt : new Date().toISOString(),
+      bestScores: {},
+      runs      : [],
+      settings  : {},
+    };
+    this._data.profiles.push(profile);
+    this._data.activeId = profile.id;
+    this._commit();
+    return this._view(profile);
+  }
+
+  /** @param {string|null} id  null = guest */
+  select(id) {
+    this._data.activeId = this._find(id) ? id : null;
+    this._commit();
+  }
+
+  /** @param {string} id */
+  remove(id) {
+    this._data.profiles = this._data.profiles.filter(p => p.id !== id);
+    if (this._data.activeId === id) this._data.activeId = null;
+    this._commit();
+  }
+
+  /**
+   * Update name/color of a profile.
+   * @param {string} id
+   * @param {{name?: string, color?: string}} changes
+   */
+  update(id, { name, color } = {}) {
+    const p = this._find(id);
+    if (!p) return;
+    if (name  !== undefined) p.name  = name.trim() || p.name;
+    if (color !== undefined) p.color = color;
+    this._commit();
+  }
+
+  // Runs
+
+  /**
+   * Store a finished run on the active profile.
+   * @param {{score: number, reps?: number, duration?: number, seed?: number, daily?: string|null}} run
+   * @returns {{saved: boolean, isBest: boolean, run: object|null}}
+   */
+  recordRun(run) {
+    const p = this._find(this._data.activeId);
+    if (!p) return { saved: false, isBest: false, run: null };
+
+    const scope  = this._scope;
+    const entry  = { date: new Date().toISOString(), game: this._game, ...run };
+    const isBest = run.score > (p.bestScores[scope] ?? 0);
+    if (isBest) p.bestScores[scope] = run.score;
+
+    p.runs.push(entry);
+    const own = p.runs.filter(r => r.game === this._game);
+    if (own.length > MAX_RUNS) {
+      const drop = new Set(own.slice(0, own.length - MAX_RUNS));
+      p.runs = p.runs.filter(r => !drop.has(r));
+    }
+    this._commit();
+    return { saved: true, isBest, run: entry };
+  }
+
+  /**
+   * Best runs of this game across all profiles, highest score first.
+   * @param {number} limit
+   * @returns {Array<{profileId:string, name:string, color:string, score:number, date:string}>}
+   */
+  leaderboard(limit = 10) {
+    const rows = [];
+    for (const p of this._data.profiles) {
+      for (const r of this._runsOf(p)) {
+        rows.push({ profileId: p.id, name: p.name, color: p.color, score: r.score, date: r.date });
+      }
+    }
+    rows.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+    return rows.slice(0, limit);
+  }
+
+  // Per-profile settings
+
+  /**
+   * Merge values into the active profile's settings (e.g. calibration).
+   * @param {object} values
+   */
+  saveSettings(values) {
+    const p = this._find(this._data.activeId);
+    if (!p) return;
+    p.settings[this._scope] = { ...p.settings[this._scope], ...values };
+    this._commit();
+  }
+
+  // Subscriptions
+
+  /**
+   * @param {function(active: object|null): void} fn  Called after every change
+   * @returns {function} unsubscribe function
+   */
+  onChange(fn) {
+    this._listeners.push(fn);
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn);
+    };
+  }
+
+  // Internals
+
+  /** Live (mutable) profile object */
+  _find(id) {
+    return this._data.profiles.find(p => p.id === id) || null;
+  }
+
+  get _scope() { return this._game ?? ANY_GAME; }
+
+  _runsOf(p) {
+    return this._game === null ? p.runs : p.runs.filter(r => r.game === this._game);
+  }
+
+  /** Copy of a stored profile as seen by this store's game */
+  _view(p) {
+    const scores = Object.values(p.bestScores);
+    return {
+      id       : p.id,
+      name     : p.name,
+      color    : p.color,
+      createdAt: p.createdAt,
+      bestScore: this._game === null ? Math.max(0, ...scores) : (p.bestScores[this._game] ?? 0),
+      runs     : this._runsOf(p).map(r => ({ ...r })),
+      settings : { ...p.settings[this._scope] },
+    };
+  }
+
+  _commit() {
+    this._save();
+    const active = this.active;
+    for (const fn of this._listeners) fn(active);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Seeded random numbers
+ * Small deterministic PRNG so a run can be reproduced from its seed.
+ *
+ * Usage:
+ *   const rng = new SeededRandom(12345);
+ *   rng.next();           // 0..1, same sequence for the same seed
+ *   rng.range(10, 20);    // float in [10, 20)
+ *   rng.weighted({ a: 3, b: 1 });  // "a" three times as often as "b"
+ *
+ *   dailySeed();          // same seed for everyone on the same local date
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed  Any integer; stored as unsigned 32-bit
+   */
+  constructor(seed) {
+    this.seed   = seed >>> 0;
+    this._state = this.seed;
+  }
+
+  /** Next float in [0, 1) — mulberry32 */
+  next() {
+    let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Pick a key with probability proportional to its weight.
+   * @param {Object<string, number>} weights  Non-positive weights are never picked
+   * @returns {string|null} null when no weight is positive
+   */
+  weighted(weights) {
+    const entries = Object.entries(weights).filter(([, w]) => w > 0);
+    const total   = entries.reduce((s, [, w]) => s + w, 0);
+    if (total <= 0) return null;
+
+    let r = this.next() * total;
+    for (const [key, w] of entries) {
+      r -= w;
+      if (r < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+  }
+}
+
+/** Fresh unsigned 32-bit seed for a normal (non-replayed) run */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Hash a string into an unsigned 32-bit seed (FNV-1a).
+ * @param {string} str
+ */
+export function seedFromString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Local date as YYYY-MM-DD.
+ * @param {Date} date
+ */
+export function dateKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Seed shared by every run on the same local date.
+ * @param {Date}   date
+ * @param {string} salt  Keeps different games from sharing a course
+ */
+export function dailySeed(date = new Date(), salt = "") {
+  return seedFromString("daily:" + salt + ":" + dateKey(date));
+}
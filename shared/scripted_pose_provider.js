@@ -0,0 +1,124 @@
+import { PoseProvider } from "./pose_provider.js";
+import { frameToResults } from "./pose_recording.js";
+
+// requestAnimationFrame in the browser, a ~60Hz timer in Node
+const schedule = globalThis.requestAnimationFrame
+  ? (fn) => requestAnimationFrame(fn)
+  : (fn) => setTimeout(fn, 16);
+
+/**
+ * ScriptedPoseProvider
+ * Emits a predefined list of frames instead of reading a camera.
+ * Used for replaying recordings and for driving CameraBase subclasses in
+ * headless tests.
+ *
+ * Two ways to drive it:
+ *   realtime: true   start() plays the frames on the animation clock,
+ *                    respecting their timestamps (replays, demos)
+ *   realtime: false  nothing happens on its own; call advance(ms) to move
+ *                    the script forward, or emit() to push a frame directly
+ *
+ * Usage (headless):
+ *   const provider = new ScriptedPoseProvider([], { realtime: false });
+ *   const input    = new PecFlyCameraInput(null, null, inputHandler, config, { provider });
+ *   provider.emit(armsOpenLandmarks, 0);
+ *   provider.emit(armsClosedLandmarks, 100);
+ */
+export class ScriptedPoseProvider extends PoseProvider {
+  /**
+   * @param {Array<{t:number, poseLandmarks?:Array}>} frames  t in ms from the start of the script
+   * @param {object}   [opts]
+   * @param {boolean}  [opts.loop=false]     Start over after the last frame
+   * @param {boolean}  [opts.realtime=true]  Play on the animation clock after start()
+   * @param {function} [opts.onEnd]          Called when a non-looping script runs out
+   */
+  constructor(frames = [], { loop = false, realtime = true, onEnd = null } = {}) {
+    super();
+    this.frames   = frames;
+    this.loop     = loop;
+    this.realtime = realtime;
+    this.onEnd    = onEnd;
+
+    this._running = false;
+    this._idx     = 0;
+    this._clock   = 0;  // script time in ms
+    this._origin  = 0;  // wall time of script t=0 (realtime mode)
+  }
+
+  /**
+   * Build a provider from a parsed pose recording (see pose_recording.js).
+   * @param {{frames: Array<{t:number, landmarks:Array|null}>}} recording
+   * @param {object} [opts]  Same options as the constructor
+   */
+  static fromRecording(recording, opts = {}) {
+    const frames = recording.frames.map(f => ({ t: f.t, ...frameToResults(f) }));
+    return new ScriptedPoseProvider(frames, opts);
+  }
+
+  // Lifecycle
+
+  async start() {
+    this._running = true;
+    this._idx     = 0;
+    this._clock   = 0;
+    if (this.realtime) {
+      this._origin = performance.now();
+      schedule(() => this._realtimeLoop());
+    }
+  }
+
+  stop() {
+    this._running = false;
+  }
+
+  get isReady() { return this._running; }
+
+  // Driving the script
+
+  /**
+   * Move script time forward and emit every frame that falls inside.
+   * @param {number} ms
+   */
+  advance(ms) {
+    this._clock += ms;
+    this._emitUntil(this._clock);
+  }
+
+  /**
+   * Emit one frame right away, outside the script.
+   * @param {Array|undefined} poseLandmarks
+   * @param {number} t  Timestamp in ms
+   */
+  emit(poseLandmarks, t = performance.now()) {
+    this._emit({ poseLandmarks }, t);
+  }
+
+  _realtimeLoop() {
+    if (!this._running) return;
+    this._clock = performance.now() - this._origin;
+    this._emitUntil(this._clock);
+    if (this._running) schedule(() => this._realtimeLoop());
+  }
+
+  _emitUntil(clock) {
+    const { frames } = this;
+    if (!frames.length) return;
+
+    while (this._idx < frames.length && frames[this._idx].t <= clock) {
+      const { t, poseLandmarks } = frames[this._idx++];
+      this._emit({ poseLandmarks }, this._origin + t);
+    }
+
+    if (this._idx >= frames.length) {
+      if (this.loop) {
+        // Next pass starts where this one ended
+        this._idx     = 0;
+        this._origin += frames[frames.length - 1].t;
+        this._clock  -= frames[frames.length - 1].t;
+      } else {
+        this._running = false;
+        if (this.onEnd) this.onEnd();
+      }
+    }
+  }
+}
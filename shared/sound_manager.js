@@ -1,36 +1,329 @@
 /**
  * SoundManager
- * Loads and plays game sound effects.
- * Add new sounds here as the game grows.
+ * Web Audio playback for game sounds. Each game registers its own named
+ * sounds; buffers are fetched and decoded once, and every play() starts a
+ * cheap buffer source, so a sound can overlap itself.
+ *
+ * Routing: sfx / music channel gain -> master gain -> speakers. Volumes and
+ * mute follow config keys (see AUDIO_SETTINGS and bindConfig).
+ *
+ * Browsers start audio suspended until the page gets a click, tap or key
+ * press. The manager resumes on the first one; sound effects played before
+ * that are dropped (they would all fire at once later), while music
+ * requested before it starts as soon as audio is unlocked.
+ *
+ * Usage:
+ *   const sounds = new SoundManager();
+ *   sounds.register({ point: "assets/sounds/sfx_point.wav", theme: { url: "assets/music.ogg", channel: "music", loop: true } });
+ *   sounds.bindConfig(config);
+ *   sounds.load();
+ *   sounds.play("point");
+ *   sounds.playMusic("theme");
+ *   sounds.beep(880, { duration: 0.1 });  // synthesized, see beep() and tone()
+ *
+ * Without Web Audio (old browsers, Node) every call is a silent no-op.
  */
+
+/** Config fields for a game's schema, e.g. ...section("audio", AUDIO_SETTINGS) */
+export const AUDIO_SETTINGS = {
+  masterVolume: { type: "number",  default: 0.8, min: 0, max: 1, step: 0.05, format: "percent", local: true },
+  sfxVolume   : { type: "number",  default: 1,   min: 0, max: 1, step: 0.05, format: "percent", local: true },
+  musicVolume : { type: "number",  default: 0.6, min: 0, max: 1, step: 0.05, format: "percent", local: true },
+  muted       : { type: "boolean", default: false, options: [false, true], local: true },
+};
+
+export const CHANNELS = ["sfx", "music"];
+
+/** Interactions that count as a user gesture for the autoplay policy */
+const UNLOCK_EVENTS = ["pointerdown", "keydown", "touchend"];
+
+/** Time constant (s) of tone() pitch/volume changes: fast, but without zipper noise */
+const TONE_GLIDE = 0.015;
+
 export class SoundManager {
   constructor() {
-    this._sounds = {
-      point : this._load("assets/sounds/sfx_point.wav"),
-      die   : this._load("assets/sounds/sfx_die.wav"),
-    };
+    this._sounds   = {};   // name -> { url, channel, volume, loop, buffer, loading }
+    this._music    = null; // { name, source } of the current music track
+    this._musicReq = null; // music asked for while locked or still loading
+    this._muted    = false;
+    this._volume   = { master: 1, sfx: 1, music: 1 };
+
+    const Ctx = typeof window !== "undefined" ? (window.AudioContext ?? window.webkitAudioContext) : undefined;
+    this.ctx = Ctx ? new Ctx() : null;
+    if (!this.ctx) return;
+
+    this._master = this.ctx.createGain();
+    this._master.connect(this.ctx.destination);
+    this._channels = {};
+    for (const channel of CHANNELS) {
+      this._channels[channel] = this.ctx.createGain();
+      this._channels[channel].connect(this._master);
+    }
+
+    this._unlockHandler = () => this.unlock();
+    if (this.ctx.state === "running") return;
+    for (const type of UNLOCK_EVENTS) {
+      window.addEventListener(type, this._unlockHandler, { capture: true });
+    }
   }
 
-  _load(path) {
-    const audio = new Audio(path);
-    audio.preload = "auto";
-    return audio;
+  // Registry
+
+  /**
+   * Add named sounds. A plain string is the URL of a sound effect.
+   * Registering an existing name replaces it.
+   * @param {Object<string, string|{url: string, channel?: "sfx"|"music", volume?: number, loop?: boolean}>} sounds
+   */
+  register(sounds) {
+    for (const [name, def] of Object.entries(sounds)) {
+      const { url, channel = "sfx", volume = 1, loop = channel === "music" } = typeof def === "string" ? { url: def } : def;
+      if (!CHANNELS.includes(channel)) throw new Error(`SoundManager: unknown channel "${channel}" for "${name}"`);
+      this._sounds[name] = { url, channel, volume, loop, buffer: null, loading: null };
+    }
+  }
+
+  has(name) {
+    return name in this._sounds;
   }
 
   /**
-   * Play a sound by cloning it so overlapping calls work correctly.
-   * @param {"point"|"die"} name
+   * Fetch and decode registered sounds that aren't loaded yet. Failures are
+   * logged and leave that sound silent.
+   * @returns {Promise<void>}
    */
-  _play(name) {
-    const src = this._sounds[name];
-    if (!src) return;
-    // Clone the audio node so the same sound can overlap itself if needed
-    const instance = src.cloneNode();
-    instance.play().catch(() => {
-      // Autoplay blocked — user hasn't interacted yet, ignore silently
+  load() {
+    if (!this.ctx) return Promise.resolve();
+    return Promise.all(Object.keys(this._sounds).map(name => this._loadOne(name))).then(() => {});
+  }
+
+  _loadOne(name) {
+    const sound = this._sounds[name];
+    sound.loading ??= fetch(sound.url)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.arrayBuffer();
+      })
+      .then(data => this.ctx.decodeAudioData(data))
+      .then(buffer => {
+        sound.buffer = buffer;
+        if (this._musicReq === name) this._startMusic();
+      })
+      .catch(e => console.warn(`SoundManager: could not load "${name}" (${sound.url})`, e));
+    return sound.loading;
+  }
+
+  // Unlock
+
+  /** Whether audio can be heard now (the page has had a user gesture) */
+  get unlocked() {
+    return this.ctx?.state === "running";
+  }
+
+  /**
+   * Resume audio. Called on the first user gesture; a game can also call it
+   * from its own input handling.
+   * @returns {Promise<boolean>} whether audio is running
+   */
+  unlock() {
+    if (!this.ctx) return Promise.resolve(false);
+    if (this.unlocked) return Promise.resolve(true);
+    return this.ctx.resume().then(() => {
+      for (const type of UNLOCK_EVENTS) {
+        window.removeEventListener(type, this._unlockHandler, { capture: true });
+      }
+      if (this._musicReq) this._startMusic();
+      return true;
+    }).catch(e => {
+      console.warn("SoundManager: could not resume audio", e);
+      return false;
     });
   }
 
-  point() { this._play("point"); }
-  die()   { this._play("die");   }
-}
\ No newline at end of file
+  // Playback
+
+  /**
+   * Play a sound effect (or any registered sound once).
+   * @param {string} name
+   * @param {object} [opts]
+   * @param {number} [opts.volume]  Multiplies the sound's own volume
+   * @param {number} [opts.rate]    Playback rate, also shifts the pitch
+   * @returns {{stop: function(): void}|null} null when nothing was played
+   */
+  play(name, { volume = 1, rate = 1 } = {}) {
+    const sound = this._sounds[name];
+    if (!sound) {
+      console.warn(`SoundManager: unknown sound "${name}"`);
+      return null;
+    }
+    if (!this.unlocked || !sound.buffer) return null;
+
+    const source = this._source(sound, volume, false);
+    source.playbackRate.value = rate;
+    source.start();
+    return { stop: () => source.stop() };
+  }
+
+  _source(sound, volume, loop) {
+    const source = this.ctx.createBufferSource();
+    source.buffer = sound.buffer;
+    source.loop   = loop;
+    const gain = this.ctx.createGain();
+    gain.gain.value = sound.volume * volume;
+    source.connect(gain);
+    gain.connect(this._channels[sound.channel]);
+    return source;
+  }
+
+  /**
+   * Loop a music track, replacing the current one. Starts once audio is
+   * unlocked and the track is decoded.
+   * @param {string} name
+   */
+  playMusic(name) {
+    if (!this.has(name)) {
+      console.warn(`SoundManager: unknown sound "${name}"`);
+      return;
+    }
+    if (this._music?.name === name) return;
+    this.stopMusic();
+    this._musicReq = name;
+    if (this.ctx) this._startMusic();
+  }
+
+  stopMusic() {
+    this._musicReq = null;
+    this._music?.source.stop();
+    this._music = null;
+  }
+
+  _startMusic() {
+    const name  = this._musicReq;
+    const sound = this._sounds[name];
+    if (!this.unlocked || !sound.buffer || this._music) return;
+    const source = this._source(sound, 1, sound.loop);
+    source.start();
+    this._music = { name, source };
+  }
+
+  // Synthesis
+
+  /**
+   * Synthesized one-shot note, no file needed (ticks, cues, beats).
+   * @param {number} freq  Hz
+   * @param {object} [opts]
+   * @param {number} [opts.duration=0.08]  Seconds
+   * @param {string} [opts.type="sine"]    Oscillator type: sine, square, triangle, sawtooth
+   * @param {number} [opts.volume=0.5]
+   * @param {"sfx"|"music"} [opts.channel="sfx"]
+   * @param {number} [opts.when]           AudioContext time to start at (default: now)
+   * @param {number} [opts.slideTo]        Frequency to glide to by the end of the note
+   */
+  beep(freq, { duration = 0.08, type = "sine", volume = 0.5, channel = "sfx", when, slideTo } = {}) {
+    if (!this.unlocked) return;
+    const start = when ?? this.ctx.currentTime;
+    const end   = start + duration;
+
+    const osc  = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, end);
+    // Short attack and exponential decay avoid clicks at both ends
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + Math.min(0.01, duration / 4));
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(gain);
+    gain.connect(this._channels[channel]);
+    osc.start(start);
+    osc.stop(end + 0.02);
+  }
+
+  /**
+   * Sustained synthesized tone whose pitch and volume can be changed while
+   * it sounds (e.g. a rising charge tone). Changes glide over a few ms.
+   * @param {object} [opts]
+   * @param {string} [opts.type="triangle"]
+   * @param {number} [opts.freq=440]
+   * @param {number} [opts.volume=0.3]
+   * @param {"sfx"|"music"} [opts.channel="sfx"]
+   * @returns {{set: function(freq: number, volume?: number): void, stop: function(): void}|null}
+   *   null while audio is locked
+   */
+  tone({ type = "triangle", freq = 440, volume = 0.3, channel = "sfx" } = {}) {
+    if (!this.unlocked) return null;
+    const ctx  = this.ctx;
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0, ctx.currentTime);
+    gain.gain.setTargetAtTime(volume, ctx.currentTime, TONE_GLIDE);
+    osc.connect(gain);
+    gain.connect(this._channels[channel]);
+    osc.start();
+
+    let stopped = false;
+    return {
+      set: (f, v) => {
+        if (stopped) return;
+        osc.frequency.setTargetAtTime(f, ctx.currentTime, TONE_GLIDE);
+        if (v !== undefined) gain.gain.setTargetAtTime(v, ctx.currentTime, TONE_GLIDE);
+      },
+      stop: () => {
+        if (stopped) return;
+        stopped = true;
+        gain.gain.setTargetAtTime(0, ctx.currentTime, TONE_GLIDE);
+        osc.stop(ctx.currentTime + TONE_GLIDE * 5);
+      },
+    };
+  }
+
+  // Volume
+
+  /**
+   * @param {"master"|"sfx"|"music"} channel
+   * @param {number} value  0..1
+   */
+  setVolume(channel, value) {
+    if (!(channel in this._volume)) return;
+    this._volume[channel] = Math.min(1, Math.max(0, value));
+    this._applyVolume();
+  }
+
+  volume(channel) {
+    return this._volume[channel];
+  }
+
+  get muted() { return this._muted; }
+
+  setMuted(muted) {
+    this._muted = !!muted;
+    this._applyVolume();
+  }
+
+  _applyVolume() {
+    if (!this.ctx) return;
+    this._master.gain.value = this._muted ? 0 : this._volume.master;
+    for (const channel of CHANNELS) this._channels[channel].gain.value = this._volume[channel];
+  }
+
+  /**
+   * Follow the AUDIO_SETTINGS keys of a config (only those it has).
+   * @param {import('./config_base.js').ConfigBase} config
+   * @returns {function} unsubscribe function
+   */
+  bindConfig(config) {
+    const apply = () => {
+      if (config.spec("masterVolume")) this._volume.master = config.get("masterVolume");
+      if (config.spec("sfxVolume"))    this._volume.sfx    = config.get("sfxVolume");
+      if (config.spec("musicVolume"))  this._volume.music  = config.get("musicVolume");
+      if (config.spec("muted"))        this._muted         = config.get("muted");
+      this._applyVolume();
+    };
+    apply();
+    return config.onChange((key) => {
+      if (key === null || key in AUDIO_SETTINGS) apply();
+    });
+  }
+}
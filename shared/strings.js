@@ -0,0 +1,130 @@
+/**
+ * Strings of the shared widgets (config panel, profiles, calibration,
+ * launcher), per language. Games add their own tables to i18n, see i18n.js.
+ * Keys are grouped by widget; {name} marks a placeholder.
+ */
+export const SHARED_STRINGS = {
+  es: {
+    "common.true"            : "Sí",
+    "common.false"           : "No",
+    "config.language"        : "Idioma / Language",
+
+    // ConfigPanel
+    "panel.title"            : "⚙ Configuración",
+    "panel.toggle"           : "⚙ Config",
+    "panel.reset"            : "↺ Restablecer valores por defecto",
+    "section.general"        : "General",
+    "section.presets"        : "Presets",
+    "preset.label"           : "Preset",
+    "preset.choose"          : "— Elegir preset —",
+    "preset.save"            : "💾 Guardar",
+    "preset.delete"          : "🗑 Borrar",
+    "preset.export"          : "⬇ Exportar",
+    "preset.import"          : "📂 Importar",
+    "preset.link"            : "🔗 Enlace",
+    "preset.namePrompt"      : "Nombre del preset:",
+    "preset.deleteConfirm"   : "¿Borrar el preset \"{name}\"?",
+    "preset.overwriteConfirm": "El enlace trae el preset \"{name}\", que ya existe aquí. ¿Reemplazarlo?",
+    "preset.saved"           : "Guardado",
+    "preset.imported"        : "Importado",
+    "preset.importFailed"    : "No se pudo importar el preset: {error}",
+    "preset.importedName"    : "Importado",
+    "preset.notJSON"         : "el archivo no es JSON válido",
+    "preset.notPreset"       : "el archivo no es un preset (se esperaba { name, version, values })",
+    "preset.linkCopied"      : "Enlace copiado",
+    "preset.linkPrompt"      : "Enlace para compartir:",
+
+    // ProfilePicker
+    "profile.guest"          : "Invitado",
+    "profile.newPlaceholder" : "Nuevo jugador",
+    "profile.defaultName"    : "Jugador",
+    "profile.delete"         : "Borrar",
+    "profile.deleteConfirm"  : "¿Borrar el perfil \"{name}\" y su historial?",
+
+    // CalibrationWizard
+    "calibration.step"       : "Paso {n} de {total}",
+    "calibration.hold"       : "¡Mantén!",
+    "calibration.noPose"     : "No se detectó la pose. Asegúrate de que tu cuerpo sea visible.",
+    "calibration.done"       : "Calibración completa",
+    "calibration.failed"     : "Calibración fallida",
+    "calibration.cancel"     : "Cancelar",
+    "calibration.retry"      : "Repetir",
+    "calibration.close"      : "Cerrar",
+
+    // Cameras
+    "camera.numbered"        : "Cámara {n}",
+    "camera.loading"         : "Cargando cámaras...",
+    "camera.default"         : "Cámara por defecto",
+
+    // GameLauncher
+    "launcher.camera"        : "📷 Cámara",
+    "launcher.language"      : "🌐 Idioma",
+
+    // Exercises (shared/exercises.js)
+    "exercise.pecFly"        : "Pec fly",
+    "exercise.squat"         : "Sentadilla",
+    "exercise.overheadPress" : "Press militar",
+  },
+
+  en: {
+    "common.true"            : "Yes",
+    "common.false"           : "No",
+    "config.language"        : "Idioma / Language",
+
+    // ConfigPanel
+    "panel.title"            : "⚙ Settings",
+    "panel.toggle"           : "⚙ Config",
+    "panel.reset"            : "↺ Restore defaults",
+    "section.general"        : "General",
+    "section.presets"        : "Presets",
+    "preset.label"           : "Preset",
+    "preset.choose"          : "— Choose preset —",
+    "preset.save"            : "💾 Save",
+    "preset.delete"          : "🗑 Delete",
+    "preset.export"          : "⬇ Export",
+    "preset.import"          : "📂 Import",
+    "preset.link"            : "🔗 Link",
+    "preset.namePrompt"      : "Preset name:",
+    "preset.deleteConfirm"   : "Delete preset \"{name}\"?",
+    "preset.overwriteConfirm": "The link carries preset \"{name}\", which already exists here. Replace it?",
+    "preset.saved"           : "Saved",
+    "preset.imported"        : "Imported",
+    "preset.importFailed"    : "Could not import the preset: {error}",
+    "preset.importedName"    : "Imported",
+    "preset.notJSON"         : "the file is not valid JSON",
+    "preset.notPreset"       : "the file is not a preset (expected { name, version, values })",
+    "preset.linkCopied"      : "Link copied",
+    "preset.linkPrompt"      : "Link to share:",
+
+    // ProfilePicker
+    "profile.guest"          : "Guest",
+    "profile.newPlaceholder" : "New player",
+    "profile.defaultName"    : "Player",
+    "profile.delete"         : "Delete",
+    "profile.deleteConfirm"  : "Delete profile \"{name}\" and its history?",
+
+    // CalibrationWizard
+    "calibration.step"       : "Step {n} of {total}",
+    "calibration.hold"       : "Hold it!",
+    "calibration.noPose"     : "No pose detected. Make sure your body is visible.",
+    "calibration.done"       : "Calibration complete",
+    "calibration.failed"     : "Calibration failed",
+    "calibration.cancel"     : "Cancel",
+    "calibration.retry"      : "Retry",
+    "calibration.close"      : "Close",
+
+    // Cameras
+    "camera.numbered"        : "Camera {n}",
+    "camera.loading"         : "Loading cameras...",
+    "camera.default"         : "Default camera",
+
+    // GameLauncher
+    "launcher.camera"        : "📷 Camera",
+    "launcher.language"      : "🌐 Language",
+
+    // Exercises (shared/exercises.js)
+    "exercise.pecFly"        : "Pec fly",
+    "exercise.squat"         : "Squat",
+    "exercise.overheadPress" : "Overhead press",
+  },
+};
@@ -0,0 +1,121 @@
+/**
+ * WorkoutSession
+ * Counts full exercise reps and keeps per-rep stats for the current run.
+ *
+ * A rep is a start -> end -> start cycle of positions. For pec-fly the
+ * start position is "arms open" and the end position is "arms closed".
+ * The camera input classifies every sample into a zone:
+ *    "start"  value is past the start threshold (e.g. ratio > thresholdOpen)
+ *    "end"    value is past the end threshold   (e.g. ratio < thresholdClosed)
+ *    null     somewhere in between
+ *
+ * A rep begins on the first sample that leaves the start zone, must reach the
+ * end zone, and is counted when the value returns to the start zone.
+ * Half reps (leave start, come back without reaching end) are discarded.
+ *
+ * Usage:
+ *   const session = new WorkoutSession();
+ *   session.track(ratio, zone, performance.now());
+ *   session.repCount;     // live count
+ *   session.end();
+ *   session.summary();    // end-of-session stats
+ */
+export class WorkoutSession {
+  constructor() {
+    this.reset();
+  }
+
+  /** Start a fresh session (called on every new run) */
+  reset() {
+    /** @type {Array<{index:number, startedAt:number, endedAt:number, duration:number, peak:number, min:number}>} */
+    this.reps       = [];
+    this.startedAt  = null;
+    this.endedAt    = null;
+    this.date       = new Date().toISOString();
+
+    this._startPeak = null;  // highest value seen while in the start zone
+    this._current   = null;  // rep in progress
+  }
+
+  // Tracking
+
+  /**
+   * Feed one sample of the exercise metric.
+   * @param {number}               value  Metric value (e.g. wrist/shoulder ratio)
+   * @param {"start"|"end"|null}   zone   Which position the value falls in
+   * @param {number}               t      Timestamp in ms
+   */
+  track(value, zone, t) {
+    if (this.endedAt !== null || value === null) return;
+    if (this.startedAt === null) this.startedAt = t;
+
+    if (zone === "start") {
+      if (this._current && this._current.reachedEnd) {
+        this._current.peak = Math.max(this._current.peak, value);
+        this._completeRep(t);
+      }
+      this._current   = null;
+      this._startPeak = Math.max(this._startPeak ?? value, value);
+      return;
+    }
+
+    // Leaving the start position begins a rep
+    if (!this._current) {
+      if (this._startPeak === null) return;
+      this._current   = { startedAt: t, peak: this._startPeak, min: value, reachedEnd: false };
+      this._startPeak = null;
+    }
+
+    this._current.peak = Math.max(this._current.peak, value);
+    this._current.min  = Math.min(this._current.min,  value);
+    if (zone === "end") this._current.reachedEnd = true;
+  }
+
+  _completeRep(t) {
+    const rep = this._current;
+    this.reps.push({
+      index     : this.reps.length + 1,
+      startedAt : rep.startedAt,
+      endedAt   : t,
+      duration  : (t - rep.startedAt) / 1000,
+      peak      : rep.peak,
+      min       : rep.min,
+    });
+  }
+
+  /**
+   * Close the session. Reps still in progress are dropped.
+   * @param {number} t  Timestamp in ms (defaults to performance.now())
+   */
+  end(t = performance.now()) {
+    if (this.endedAt !== null) return;
+    this.endedAt  = t;
+    this._current = null;
+  }
+
+  // Stats
+
+  get repCount() { return this.reps.length; }
+
+  get isEnded()  { return this.endedAt !== null; }
+
+  /**
+   * End-of-session stats. Durations are in seconds.
+   * @returns {{reps:number, duration:number, avgRep:number|null, fastestRep:number|null, slowestRep:number|null, avgPeak:number|null, avgMin:number|null}}
+   */
+  summary() {
+    const n   = this.reps.length;
+    const end = this.endedAt ?? (n ? this.reps[n - 1].endedAt : this.startedAt);
+    const avg = (fn) => n ? this.reps.reduce((s, r) => s + fn(r), 0) / n : null;
+
+    return {
+      reps       : n,
+      duration   : this.startedAt === null ? 0 : (end - this.startedAt) / 1000,
+      avgRep     : avg(r => r.duration),
+      fastestRep : n ? Math.min(...this.reps.map(r => r.duration)) : null,
+      slowestRep : n ? Math.max(...this.reps.map(r => r.duration)) : null,
+      avgPeak    : avg(r => r.peak),
+      avgMin     : avg(r => r.min),
+    };
+  }
+}